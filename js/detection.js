@@ -5,14 +5,14 @@
  * Ball detection: perspective warp → HoughCircles → felt-color rejection → color classification.
  */
 
-import {
-  BALL_COLORS, BALL_DIAMETER, BALL_RADIUS,
-  TABLE_WIDTH, TABLE_LENGTH
-} from './table-config.js?v=1771969564';
+import { BALL_COLORS, DEFAULT_PROFILE, ballPalette } from './table-config.js?v=1771969564';
 
-const TABLE_ASPECT = TABLE_LENGTH / TABLE_WIDTH; // ~2.0
 const ASPECT_TOLERANCE = 0.6;
 
+// Two detections closer than this (in ball diameters) overlap and are one ball.
+// Touching balls sit a full diameter apart, so frozen pairs and packed racks survive
+const DUPLICATE_DISTANCE = 0.8;
+
 let cvReady = false;
 let cvLoadPromise = null;
 
@@ -61,9 +61,12 @@ export function isOpenCVReady() { return cvReady; }
  * Strategy: find the dominant uniform color region (the felt),
  * then approximate it as a quadrilateral.
  * Works with any felt color (green, blue, red, etc.)
+ * @param {ImageData} imageData
+ * @param {TableProfile} [profile=DEFAULT_PROFILE] - sets the expected length/width aspect
  */
-export function detectTable(imageData) {
+export function detectTable(imageData, profile = DEFAULT_PROFILE) {
   if (!cvReady) return null;
+  const tableAspect = profile.length / profile.width; // ~2.0
 
   const cleanup = [];
   const mat = (m) => { cleanup.push(m); return m; };
@@ -144,8 +147,8 @@ export function detectTable(imageData) {
           // Check aspect ratio
           const ordered = _orderCorners(pts);
           const aspect = _quadAspect(ordered);
-          console.log(`[detectTable]   4-point quad: aspect=${aspect.toFixed(2)}, target=${TABLE_ASPECT.toFixed(2)}±${ASPECT_TOLERANCE}, corners=`, pts);
-          if (Math.abs(aspect - TABLE_ASPECT) > ASPECT_TOLERANCE) {
+          console.log(`[detectTable]   4-point quad: aspect=${aspect.toFixed(2)}, target=${tableAspect.toFixed(2)}±${ASPECT_TOLERANCE}, corners=`, pts);
+          if (Math.abs(aspect - tableAspect) > ASPECT_TOLERANCE) {
             console.log(`[detectTable]   Rejected: aspect ${aspect.toFixed(2)} outside tolerance`);
             break;
           }
@@ -319,7 +322,11 @@ function _insetQuad(corners, frac) {
 
 
 export class BallDetector {
-  constructor() {
+  /**
+   * @param {TableProfile} [profile=DEFAULT_PROFILE] - table the photo is warped onto
+   */
+  constructor(profile = DEFAULT_PROFILE) {
+    this.profile = profile;
     this.transformMatrix = null;
     this.inverseMatrix = null;
     this.warpWidth = 0;
@@ -329,6 +336,10 @@ export class BallDetector {
     this._feltV = 0;
   }
 
+  setProfile(profile) {
+    this.profile = profile;
+  }
+
   detect(imageData, tableCorners = null) {
     if (!cvReady) throw new Error('OpenCV not loaded');
 
@@ -372,8 +383,8 @@ export class BallDetector {
 
   _warpToTable(bgr, corners) {
     const scale = 1.0;
-    const dstW = Math.round(TABLE_WIDTH * scale);
-    const dstH = Math.round(TABLE_LENGTH * scale);
+    const dstW = Math.round(this.profile.width * scale);
+    const dstH = Math.round(this.profile.length * scale);
     this.warpWidth = dstW;
     this.warpHeight = dstH;
 
@@ -382,6 +393,10 @@ export class BallDetector {
       0, dstH, dstW, dstH, dstW, 0, 0, 0,
     ]);
 
+    // Free the matrices from a previous capture before replacing them
+    if (this.transformMatrix) this.transformMatrix.delete();
+    if (this.inverseMatrix) this.inverseMatrix.delete();
+
     const M = cv.getPerspectiveTransform(srcPts, dstPts);
     this.transformMatrix = M.clone();
     const Minv = cv.getPerspectiveTransform(dstPts, srcPts);
@@ -426,11 +441,11 @@ export class BallDetector {
     gray.delete();
 
     const w = bgr.cols, h = bgr.rows;
-    const pxPerMm = w / TABLE_WIDTH;
-    const expectedR = Math.round(BALL_RADIUS * pxPerMm);
+    const pxPerMm = w / this.profile.width;
+    const expectedR = Math.round(this.profile.ballRadius * pxPerMm);
     const minR = Math.max(8, Math.round(expectedR * 0.6));
     const maxR = Math.max(15, Math.round(expectedR * 1.5));
-    const minDist = Math.max(20, Math.round(expectedR * 2.0));
+    const minDist = Math.max(8, Math.round(expectedR * 2 * DUPLICATE_DISTANCE));
 
     console.log(`[BallDetector] Image: ${w}x${h}, expectedR=${expectedR}, range=[${minR},${maxR}]`);
 
@@ -511,7 +526,7 @@ export class BallDetector {
 
     // Score each color
     let bestColor = null, bestScore = 0;
-    for (const [colorName, info] of Object.entries(BALL_COLORS)) {
+    for (const [colorName, info] of ballPalette(this.profile)) {
       const colorMask = new cv.Mat();
       const clo = new cv.Mat(hsvRoi.rows, hsvRoi.cols, cv.CV_8UC3, new cv.Scalar(...info.hsvLow));
       const chi = new cv.Mat(hsvRoi.rows, hsvRoi.cols, cv.CV_8UC3, new cv.Scalar(...info.hsvHigh));
@@ -529,13 +544,17 @@ export class BallDetector {
     if (!bestColor || bestScore < 0.05) return null;
     if (bestColor === 'white' && whiteRatio > 0.5) return ['white', false, Math.min(1, whiteRatio)];
     if (bestColor === 'black') return ['black', false, Math.min(1, bestScore)];
+    // Snooker balls are all solid; a bright highlight isn't a stripe
+    if (this.profile.spots) return [bestColor, false, bestScore > 0.1 ? Math.min(1, bestScore + 0.2) : bestScore];
 
     const isStriped = whiteRatio > 0.12 && whiteRatio < 0.65;
     const confidence = bestScore > 0.1 ? Math.min(1, bestScore + 0.2) : bestScore;
     return [bestColor, isStriped, confidence];
   }
 
+  /** Pool ball number, or on a snooker table the ball's value (cue ball 0). */
   _colorToNumber(color, isStriped) {
+    if (this.profile.spots) return BALL_COLORS[color]?.value ?? -1;
     if (color === 'white') return 0;
     if (color === 'black') return 8;
     const base = BALL_COLORS[color]?.number ?? -1;
@@ -544,16 +563,18 @@ export class BallDetector {
   }
 
   _pixelToTable(px, py, imgH, imgW) {
-    const tx = (px / imgW) * TABLE_WIDTH;
-    const ty = ((imgH - py) / imgH) * TABLE_LENGTH;
+    const tx = (px / imgW) * this.profile.width;
+    const ty = ((imgH - py) / imgH) * this.profile.length;
     return [tx, ty];
   }
 
+  /** Keep the most confident of any overlapping detections. */
   _resolveDuplicates(balls) {
     balls.sort((a, b) => b.confidence - a.confidence);
     const kept = [];
     for (const ball of balls) {
-      const tooClose = kept.some(e => Math.hypot(ball.x - e.x, ball.y - e.y) < BALL_DIAMETER * 1.5);
+      const tooClose = kept.some(e =>
+        Math.hypot(ball.x - e.x, ball.y - e.y) < this.profile.ballDiameter * DUPLICATE_DISTANCE);
       if (!tooClose) kept.push(ball);
     }
     return kept;
@@ -564,8 +585,8 @@ export class BallDetector {
    */
   tableToPhoto(tx, ty) {
     if (!this.inverseMatrix) return [tx, ty];
-    const px = (tx / TABLE_WIDTH) * this.warpWidth;
-    const py = (1 - ty / TABLE_LENGTH) * this.warpHeight;
+    const px = (tx / this.profile.width) * this.warpWidth;
+    const py = (1 - ty / this.profile.length) * this.warpHeight;
     // Apply inverse perspective transform
     const d = this.inverseMatrix.data64F;
     const denom = d[6] * px + d[7] * py + d[8];
@@ -583,8 +604,8 @@ export class BallDetector {
     const denom = d[6] * ox + d[7] * oy + d[8];
     const px = (d[0] * ox + d[1] * oy + d[2]) / denom;
     const py = (d[3] * ox + d[4] * oy + d[5]) / denom;
-    const tx = (px / this.warpWidth) * TABLE_WIDTH;
-    const ty = (1 - py / this.warpHeight) * TABLE_LENGTH;
+    const tx = (px / this.warpWidth) * this.profile.width;
+    const ty = (1 - py / this.warpHeight) * this.profile.length;
     return [tx, ty];
   }
 }
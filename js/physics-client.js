@@ -0,0 +1,86 @@
+/**
+ * BankShotAI - Physics Worker Client
+ *
+ * Main-thread side of physics-worker.js: each call posts a request and
+ * resolves with the worker's reply. A worker runs one search or simulation at a time and
+ * can't be interrupted, so cancel() terminates it and starts a fresh one.
+ */
+
+export class PhysicsWorkerClient {
+  /**
+   * @param {TableProfile} profile - table the worker's calculator solves on
+   * @param {Object} [options] - BankShotCalculator options
+   */
+  constructor(profile, options = {}) {
+    this.profile = profile;
+    this.options = options;
+    this._nextId = 1;
+    this._pending = new Map();
+    this._spawn();
+  }
+
+  setProfile(profile) {
+    this.profile = profile;
+  }
+
+  /** Merge `options` into the calculator options sent with every call. */
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Call a BankShotCalculator or ShotSimulator method in the worker.
+   * @param {string} method
+   * @param {Array} args
+   * @param {Object} [options] - calculator options for this call, over the client's
+   * @returns {Promise<*>} rejects with an AbortError if cancelled first
+   */
+  call(method, args, options = {}) {
+    const id = this._nextId++;
+    if (!this._worker) this._spawn();
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject });
+      this._worker.postMessage({
+        id, method, args, profile: this.profile, options: { ...this.options, ...options },
+      });
+    });
+  }
+
+  /**
+   * Abandon every outstanding call. Their promises reject with an AbortError.
+   */
+  cancel() {
+    if (this._pending.size === 0) return;
+    const error = new Error('Physics call cancelled');
+    error.name = 'AbortError';
+    this._restart(error);
+  }
+
+  _spawn() {
+    this._worker = new Worker(new URL('./physics-worker.js', import.meta.url), { type: 'module' });
+    this._worker.onmessage = ({ data }) => this._onReply(data);
+    // A worker that fails to load or throws outside a call never replies, so fail every
+    // call. The next call starts a fresh worker; respawning here would loop on a load error
+    this._worker.onerror = (e) => {
+      console.error('[PhysicsWorker] Error:', e.message);
+      this._restart(new Error(`Physics worker failed: ${e.message}`), false);
+    };
+  }
+
+  /** Reject every outstanding call with `error` and drop the worker, starting a fresh one if `respawn`. */
+  _restart(error, respawn = true) {
+    this._worker?.terminate();
+    this._worker = null;
+    for (const { reject } of this._pending.values()) reject(error);
+    this._pending.clear();
+    if (respawn) this._spawn();
+  }
+
+  _onReply({ id, result, error }) {
+    const pending = this._pending.get(id);
+    if (!pending) return;
+    this._pending.delete(id);
+    if (error) pending.reject(new Error(error));
+    else pending.resolve(result);
+  }
+}
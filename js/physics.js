@@ -1,43 +1,417 @@
 /**
  * BankShotAI - Bank Shot Physics Engine
  *
- * Calculates direct and bank shot paths using reflection geometry.
- * Simplified model: angle of incidence = angle of reflection (no spin/english).
+ * Calculates direct, bank, kick and combination shot paths using reflection geometry.
+ * Without a spin, rebounds mirror (angle of incidence = angle of reflection);
+ * with one, each rebound loses normal speed and is pushed along by cushion
+ * friction and english, and banks are solved by shooting rather than unfolding.
+ * Object-ball banks without spin bend the mirror rebound by a speed-dependent
+ * cushion response, which users can calibrate from banks they shot.
+ * Shots are rated either by a distance/bank heuristic or, with
+ * `scoring: 'probability'`, by a Monte Carlo make probability.
+ * A ball's center rebounds one ball radius off the cushion nose, so banks are
+ * solved on the ball-center rectangle inset by a ball radius from the rails.
  * All coordinates in millimeters, origin at bottom-left corner pocket.
  */
 
 import {
-  TABLE_WIDTH, TABLE_LENGTH, BALL_RADIUS,
-  POCKETS, RAIL_LEFT, RAIL_RIGHT, RAIL_BOTTOM, RAIL_TOP
-} from './table-config.js?v=1771961872';
+  DEFAULT_PROFILE, DEFAULT_CUSHION_RESPONSE, pocketMouth,
+  GRAVITY, ROLLING_RESISTANCE, CUSHION_RESTITUTION, CUSHION_FRICTION, BALL_FRICTION
+} from './table-config.js?v=1771969564';
 
 const RAIL = { LEFT: 'left', RIGHT: 'right', BOTTOM: 'bottom', TOP: 'top' };
 const ALL_RAILS = [RAIL.LEFT, RAIL.RIGHT, RAIL.BOTTOM, RAIL.TOP];
 
 export const DIFFICULTY = { EASY: 'easy', MEDIUM: 'medium', HARD: 'hard', VERY_HARD: 'very_hard' };
+export const SHOT_TYPE = {
+  DIRECT: 'direct', BANK: 'bank', KICK: 'kick', COMBO: 'combo', RAIL_FIRST: 'rail_first', JUMP: 'jump', MASSE: 'masse',
+  CAROM: 'carom',
+};
+export const FROZEN_RULE = { RAIL_FIRST: 'rail_first', DEAD_COMBO: 'dead_combo', FROZEN_CUE: 'frozen_cue' };
+export const CUE_SPIN = { STUN: 'stun', FOLLOW: 'follow', DRAW: 'draw' };
+export const SPEED = { SOFT: 'soft', MEDIUM: 'medium', FIRM: 'firm' };
+export const ENGLISH = { NONE: 'none', LEFT: 'left', RIGHT: 'right', RUNNING: 'running', REVERSE: 'reverse' };
+
+// Follow/draw at contact per CUE_SPIN, as a fraction of natural roll (-1 = as much backspin)
+const SPIN_AMOUNT = { stun: 0, follow: 1, draw: -1 };
 
 function hypot(dx, dy) { return Math.sqrt(dx * dx + dy * dy); }
 
+/**
+ * `spin` if it puts english on the ball, else null: a plain hit banks off the
+ * mirror solver and its fitted cushion response, whether or not a Spin was given.
+ */
+function withEnglish(spin) {
+  return spin && spin.english !== ENGLISH.NONE && (spin.amount ?? 1) !== 0 ? spin : null;
+}
+
+/** Seeded uniform [0, 1) generator (mulberry32), so repeated solves rank shots the same way. */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal sample (Box-Muller). */
+function gaussian(rand) {
+  return Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+}
+
+/** Cushion response factor at `speed`, interpolated along `curve` and held beyond its ends. */
+function responseFactor(curve, speed) {
+  if (speed <= curve[0].speed) return curve[0].factor;
+  for (let i = 1; i < curve.length; i++) {
+    const a = curve[i - 1], b = curve[i];
+    if (speed <= b.speed) return a.factor + (b.factor - a.factor) * (speed - a.speed) / (b.speed - a.speed);
+  }
+  return curve[curve.length - 1].factor;
+}
+
+/**
+ * Cushion response curve fitted to recorded banks: a least-squares line of
+ * factor against speed, sampled at the slowest and fastest recording so it
+ * holds flat beyond what was measured. Without recordings, the default curve.
+ * @param {Array<{speed: number, factor: number}>} recordings
+ * @returns {Array<{speed: number, factor: number}>}
+ */
+export function fitCushionResponse(recordings) {
+  if (recordings.length === 0) return DEFAULT_CUSHION_RESPONSE;
+  const n = recordings.length;
+  const meanSpeed = recordings.reduce((s, r) => s + r.speed, 0) / n;
+  const meanFactor = recordings.reduce((s, r) => s + r.factor, 0) / n;
+  let sxx = 0, sxy = 0;
+  for (const { speed, factor } of recordings) {
+    sxx += (speed - meanSpeed) ** 2;
+    sxy += (speed - meanSpeed) * (factor - meanFactor);
+  }
+  // Recordings at much the same speed only pin down the level
+  const slope = sxx > n * CALIBRATION_MIN_SPREAD ** 2 ? sxy / sxx : 0;
+  const at = speed => Math.min(MAX_CUSHION_FACTOR, Math.max(MIN_CUSHION_FACTOR,
+    meanFactor + slope * (speed - meanSpeed)));
+
+  const lo = Math.min(...recordings.map(r => r.speed));
+  const hi = Math.max(...recordings.map(r => r.speed));
+  return hi - lo < 1
+    ? [{ speed: lo, factor: at(lo) }]
+    : [{ speed: lo, factor: at(lo) }, { speed: hi, factor: at(hi) }];
+}
+
+/** Shortest distance from point p to the segment a→b. */
+function segmentPointDistance(a, b, p) {
+  const dx = b[0] - a[0], dy = b[1] - a[1];
+  const lenSq = dx * dx + dy * dy;
+  let t = lenSq < 1e-12 ? 0 : ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lenSq;
+  t = Math.max(0, Math.min(1, t));
+  return hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+// Added to difficultyScore per blocking ball when obstructions are penalised
+const OBSTRUCTION_PENALTY = 0.5;
+
+// Re-aim passes when centering a path on a pocket's acceptance window
+const POCKET_AIM_ITERATIONS = 3;
+
+// Unfolded bank/kick paths longer than this many table diagonals are not searched
+const MAX_BANK_TRAVEL_DIAGONALS = 3;
+
+// Combination shots: thinnest ball-to-ball cut tried (cos 60°), and how much the
+// chain's error amplification adds to difficultyScore per doubling
+const COMBO_MIN_COS_CUT = 0.5;
+const COMBO_ERROR_WEIGHT = 0.1;
+
+// Three-cushion carom: cushions the cue ball needs before the second ball, ghost-ball
+// positions scanned round the first ball for each rail sequence, bisection steps per
+// bracketed route, and the difficulty added at a full MAX_CUE_SPEED stroke
+const CAROM_MIN_CUSHIONS = 3;
+const CAROM_SCAN_STEPS = 180;
+const CAROM_BISECTIONS = 30;
+const CAROM_SPEED_WEIGHT = 0.3;
+
+// Jump shots: steepest launch of the cue ball off the cloth, extra height (mm) kept
+// over a blocker, landing spots tried, and the difficulty added for jumping at all
+const MAX_JUMP_ANGLE = 30 * Math.PI / 180;
+const JUMP_CLEARANCE = 5;
+const JUMP_LANDINGS = 20;
+const JUMP_PENALTY = 0.25;
+
+// Massé shots: widest the cue ball may set off from (and come back to) the line to
+// the ghost ball, room (mm) kept around a blocker, points along the drawn curve, and
+// the difficulty added for swerving at all
+const MAX_MASSE_ANGLE = 40 * Math.PI / 180;
+const MASSE_CLEARANCE = 5;
+const MASSE_STEPS = 16;
+const MASSE_PENALTY = 0.35;
+
+// Cushion response factors a calibration may produce, and the spread of
+// recorded speeds (mm/s) below which it fits no speed dependence
+const MIN_CUSHION_FACTOR = 0.7;
+const MAX_CUSHION_FACTOR = 1.3;
+const CALIBRATION_MIN_SPREAD = 300;
+
+// Double kisses: time step (s) the two balls are rolled on after contact, how far
+// apart (mm) they must get before meeting again counts, and the difficulty added
+// when every stroke kisses
+const KISS_STEP = 0.01;
+const KISS_CLEARANCE = 5;
+const KISS_PENALTY = 0.3;
+
+// Balls closer than this (mm) to a cushion or to each other count as frozen. A
+// frozen pair can only be pushed along its line of centers, turned at most by
+// the throw of full ball-ball friction.
+const FROZEN_GAP = 2;
+const FROZEN_THROW_MAX = Math.atan(BALL_FRICTION.a + BALL_FRICTION.b);
+
+// Corner pockets at the ends of each rail, for balls frozen to it
+const RAIL_CORNERS = {
+  left: ['bottom_left', 'top_left'],
+  right: ['bottom_right', 'top_right'],
+  bottom: ['bottom_left', 'bottom_right'],
+  top: ['top_left', 'top_right'],
+};
+
+// Thinnest cut suggested by default (radians, 80°), and the smallest cut
+// reported as going left or right rather than full
+const MAX_CUT_ANGLE = 80 * Math.PI / 180;
+const CUT_SIDE_MIN = 0.5 * Math.PI / 180;
+
+// Named ball-hit fractions, nearest one reported as ShotPath.ballHit
+const BALL_HITS = [[1, 'full'], [0.75, '¾'], [0.5, '½'], [0.25, '¼'], [0, 'thin']];
+
+// Throw-corrected ghost ball: fixed-point passes, since the cut and so the
+// throw shift with the ghost ball
+const THROW_ITERATIONS = 3;
+
+// Make-probability scoring defaults: samples per shot, cue-ball direction error
+// (radians, ~0.1°) and relative stroke-speed error of the shooter
+const MC_SAMPLES = 200;
+const MC_AIM_SIGMA = 0.002;
+const MC_SPEED_SIGMA = 0.1;
+const MC_SEED = 1;
+
+// Intended stroke: this many times the speed that just gets the object ball to
+// the pocket, but never harder than MAX_CUE_SPEED (mm/s)
+const PACE_MARGIN = 1.5;
+const MAX_CUE_SPEED = 6000;
+
+// Recommended cue speeds (mm/s) up to which a shot is labelled soft, then medium
+const SOFT_SPEED = 1500;
+const MEDIUM_SPEED = 3000;
+
+// z for the 95% interval reported as probabilityConfidence
+const CONFIDENCE_Z = 1.96;
+
+// Sidespin at full english (tip half a radius off center), as ω·R over ball speed
+const MAX_ENGLISH = 1.25;
+
+// Spin banks are aimed by shooting: secant passes and the miss (mm) that ends them
+const SPIN_AIM_ITERATIONS = 20;
+const SPIN_AIM_TOLERANCE = 0.01;
+
+// Direction of each rail's cushion from the table, for rebounds with spin
+const RAIL_NORMAL = { left: [-1, 0], right: [1, 0], bottom: [0, -1], top: [0, 1] };
+
+// Cue-ball route after contact: rebounds followed and distance traced
+const CUE_AFTER_RAILS = 3;
+const CUE_AFTER_TRAVEL_DIAGONALS = 1.5;
+
+// Ball in hand: head string as a fraction of the length from the bottom (head)
+// rail, and Monte Carlo samples per shot while sweeping the grid
+const HEAD_STRING = 0.25;
+const BALL_IN_HAND_SAMPLES = 50;
+
 /**
  * @typedef {Object} ShotPath
+ * @property {string} type - one of SHOT_TYPE
  * @property {number[]} cuePos
- * @property {number[]} objectPos
- * @property {number[]} targetPocket
+ * @property {number[]} objectPos - caroms: the first object ball
+ * @property {number[]} targetPocket - pocket position from the profile's pockets; null on caroms
+ * @property {string} pocketName - null on caroms
+ * @property {PocketWindow} pocketWindow - where the object ball must cross the mouth; null on caroms
+ * @property {number} angularTolerance - allowable direction error of the first object ball
+ *   (radians); on caroms, of the cue ball's last leg into the second ball
  * @property {number[]} aimPoint
- * @property {number[][]} bankPoints
- * @property {string[]} railsUsed
+ * @property {number} cutAngle - angle between the cue ball's approach and the struck
+ *   ball's departure at first contact (radians, 0 = full hit)
+ * @property {'left'|'right'|null} cutSide - way the struck ball is cut, seen along the
+ *   cue ball's approach; null on a full hit
+ * @property {number} ballFraction - share of the struck ball covered along the aim line, 1 − sin(cut)
+ * @property {string} ballHit - nearest named fraction: full, ¾, ½, ¼ or thin
+ * @property {number[]} contactPoint - where the balls touch, on the struck ball's surface
+ * @property {number} throwAngle - how far friction at contact turns the struck ball off the
+ *   line of centers, towards the cue ball's path, on a stun hit at the intended pace (radians)
+ * @property {number|null} minSpeed - slowest cue-ball speed (mm/s) that gets the pocketed ball
+ *   to the pocket through every rolling leg, cut and cushion; null if the shot can't be traced
+ * @property {number|null} speed - recommended cue-ball speed (mm/s), the minimum with margin
+ * @property {string|null} speedLabel - one of SPEED for the recommended speed
+ * @property {number} contactSpeed - cue-ball speed reaching the first ball at the recommended
+ *   speed, or at MAX_CUE_SPEED if the shot can't be traced (mm/s)
+ * @property {number[]} throwAimPoint - ghost ball that pockets the shot once throw is allowed
+ *   for; `aimPoint` is the uncorrected one the paths are drawn through
+ * @property {number[][]} bankPoints - ball-center positions at each rebound
+ * @property {number[][]} cushionPoints - matching contact points on the cushion nose
+ * @property {string[]} railsUsed - cue-ball rails first on kicks, then object-ball rails
+ * @property {number} cueLegs - leading pathSegments travelled by the cue ball; on caroms the
+ *   legs up to the first ball, the rest being its route on to the second
  * @property {number} totalDistance
  * @property {string} difficulty
  * @property {number} difficultyScore
  * @property {Array<[number[], number[]]>} pathSegments
+ * @property {number[]} [caromBalls] - caroms: layout indices of the first and second object ball
+ * @property {string} [caromSpin] - caroms: CUE_SPIN the cue ball's departure was solved with
+ * @property {number[]} [comboBalls] - combos: layout indices of the chain, pocketed ball last
+ * @property {number[][]} [comboGhosts] - combos: ghost balls after the first, in chain order
+ * @property {number} [errorAmplification] - combos: aim error growth along the chain
+ * @property {Obstruction[]} [blockedBy] - set by findLayoutShots
+ * @property {Object<string, CuePath>} [cueAfter] - set by findLayoutShots: cue-ball route per CUE_SPIN
+ * @property {Spin} [spin] - banks and kicks: spin the rebounds were solved with, if any
+ * @property {number[]} [cushionSpeeds] - banks without spin: object-ball speed reaching each
+ *   of its cushions at the intended pace (mm/s)
+ * @property {number[]} [cushionFactors] - banks without spin: cushion response factor the
+ *   rebound off each of those cushions was solved with
+ * @property {DiamondReading[]} diamonds - one per bank point, empty on tables without diamonds
+ * @property {{cornerFive?: {cue: number, first: number, third: number},
+ *   plusTwo?: {cue: number, first: number, target: number}}} systems - diamond-system
+ *   numbers for kicks that fit a system
+ * @property {Jump} [jump] - jump shots: how the cue ball hops its blockers
+ * @property {Masse} [masse] - massé shots: the curve round the blockers. The cue leg in
+ *   `pathSegments` stays the straight line from the cue ball to the ghost ball; contact,
+ *   speed and the trace read the curve unrolled onto its arrival (see `_cueLeg`)
+ * @property {Object<string, Kiss|null>} [kisses] - set by findLayoutShots: where the
+ *   cue ball, per CUE_SPIN, runs back into the object ball
+ * @property {number} [kissRisk] - set by findLayoutShots: share of CUE_SPIN strokes that
+ *   double-kiss; difficultyScore carries KISS_PENALTY of it
+ * @property {string} [frozenRule] - one of FROZEN_RULE when a frozen ball shapes the shot
+ * @property {string} [invalidReason] - set by findLayoutShots when a frozen ball makes
+ *   the shot unplayable as drawn, or the rules make it a foul
+ * @property {number} [makeProbability] - probability scoring: fraction of perturbed shots made
+ * @property {number} [probabilityConfidence] - probability scoring: half-width of its 95% interval
+ */
+
+/**
+ * @typedef {Object} PocketWindow
+ * @property {number[]} center - ball-center aim point across the mouth
+ * @property {number[][]} edges - the two limits of the window
+ * @property {number} width - usable window width for the ball center (mm)
+ * @property {number} approachAngle - angle between the approach and the pocket facing (radians)
+ * @property {number} angularTolerance - half-window angle seen from the last leg's start (radians)
+ */
+
+/**
+ * @typedef {Object} Spin
+ * @property {string} english - one of ENGLISH; running and reverse are taken at the first rail
+ * @property {number} [amount=1] - fraction of full english
+ * @property {number} speed - speed of the rebounding ball as it sets off (mm/s)
+ */
+
+/**
+ * @typedef {Object} DiamondReading
+ * @property {string} rail
+ * @property {number} contact - cushion contact, in diamonds from the bottom/left corner
+ * @property {number} aim - where the line into the rail crosses the diamonds, same numbering
+ */
+
+/**
+ * @typedef {Object} CuePath
+ * @property {string} spin - one of CUE_SPIN
+ * @property {Array<[number[], number[]]>} pathSegments - ball-center route from the ghost ball
+ * @property {number[][]} bankPoints - ball-center positions at each rebound
+ * @property {string|null} scratch - pocket the cue ball runs into
+ * @property {number|null} hitsBall - layout index of the first ball the cue ball runs into
+ * @property {number} speedRatio - cue-ball speed setting off, over its speed at contact
+ */
+
+/**
+ * @typedef {Object} Jump
+ * @property {number} launchAngle - cue-ball takeoff above the cloth (radians)
+ * @property {number} speed - cue-ball speed at takeoff (mm/s)
+ * @property {number} landing - distance from the cue ball to where it comes down (mm)
+ * @property {number} clearance - rise of the cue ball's center needed to pass the worst blocker (mm)
+ * @property {number} minDistance - closest a blocker needing that clearance can sit to
+ *   the cue ball at MAX_JUMP_ANGLE (mm)
+ */
+
+/**
+ * @typedef {Object} Masse
+ * @property {number[][]} curve - cue-ball centers from the cue ball to the ghost ball
+ * @property {'left'|'right'} side - way the curve bows, seen from the cue ball
+ * @property {number} bulge - widest the curve gets from the straight line (mm)
+ * @property {number} launchAngle - angle the cue ball sets off at, off the straight line (radians)
+ * @property {number[]} arrive - unit direction the cue ball reaches the ghost ball along
+ * @property {number} length - length of the curve (mm)
+ */
+
+/**
+ * @typedef {Object} Kiss
+ * @property {number} time - seconds after contact
+ * @property {number[]} point - midway between the two ball centers as they touch
+ */
+
+/**
+ * @typedef {Object} BallInHandResult
+ * @property {Array<{x: number, y: number, shot: ShotPath}>} placements - best cue spots first
+ * @property {PlacementGrid} grid - every spot tried
+ */
+
+/**
+ * @typedef {Object} PlacementGrid
+ * @property {number} x0 - center of the first column (mm)
+ * @property {number} y0 - center of the first row (mm)
+ * @property {number} step - cell size (mm)
+ * @property {number} cols
+ * @property {number} rows
+ * @property {Float32Array} scores - best difficultyScore per cell, row-major; NaN where
+ *   the cue ball can't go or has no clear shot
+ */
+
+/**
+ * @typedef {PlacementGrid & {difficulties: Array<string|null>}} DifficultyGrid
+ * `difficulties` holds the DIFFICULTY of each cell's score, null where `scores` is NaN.
+ */
+
+/**
+ * @typedef {Object} Obstruction
+ * @property {number} ballIndex - index into the layout of the blocking ball
+ * @property {number} segment - index into pathSegments of the blocked leg
  */
 
 export class BankShotCalculator {
-  constructor(tableWidth = TABLE_WIDTH, tableLength = TABLE_LENGTH) {
-    this.width = tableWidth;
-    this.length = tableLength;
-    this.pockets = POCKETS;
+  /**
+   * @param {TableProfile} [profile=DEFAULT_PROFILE] - table to solve on
+   * @param {Object} [options]
+   * @param {'heuristic'|'probability'} [options.scoring='heuristic'] - rate shots by
+   *   distance and banks, or by a Monte Carlo make probability (difficultyScore = 1 − p)
+   * @param {number} [options.samples=200] - perturbed shots per ShotPath
+   * @param {number} [options.aimSigma=0.002] - cue-ball direction error (radians)
+   * @param {number} [options.speedSigma=0.1] - relative stroke-speed error
+   * @param {number} [options.seed=1] - sampling seed
+   * @param {number} [options.maxCutAngle=80°] - thinnest cut to suggest (radians)
+   * @param {Array<{speed: number, factor: number}>} [options.cushionResponse] - bank
+   *   rebound factor by speed (see DEFAULT_CUSHION_RESPONSE and fitCushionResponse)
+   */
+  constructor(profile = DEFAULT_PROFILE, options = {}) {
+    this.profile = profile;
+    this.width = profile.width;
+    this.length = profile.length;
+    this.ballRadius = profile.ballRadius;
+    this.rails = profile.rails;
+    this.pockets = profile.pockets;
+    this.pocketSpecs = profile.pocketSpecs;
     this.diag = hypot(this.width, this.length);
+    // Longest unfolded path worth solving for multi-rail banks and kicks
+    this.maxBankTravel = this.diag * MAX_BANK_TRAVEL_DIAGONALS;
+
+    this.scoring = options.scoring || 'heuristic';
+    this.samples = options.samples ?? MC_SAMPLES;
+    this.aimSigma = options.aimSigma ?? MC_AIM_SIGMA;
+    this.speedSigma = options.speedSigma ?? MC_SPEED_SIGMA;
+    this.seed = options.seed ?? MC_SEED;
+    this.maxCutAngle = options.maxCutAngle ?? MAX_CUT_ANGLE;
+    this.cushionResponse = options.cushionResponse ?? DEFAULT_CUSHION_RESPONSE;
   }
 
   /**
@@ -45,42 +419,807 @@ export class BankShotCalculator {
    * @param {number[]} cuePos
    * @param {number[]} objectPos
    * @param {string|null} targetPocket - specific pocket name or null for all
-   * @param {number} maxBanks - 0=direct only, 1=single, 2=double
+   * @param {number} maxBanks - 0=direct only, N=banks off up to N rails
+   * @param {Object} [options]
+   * @param {Spin|null} [options.spin=null] - spin on every rebounding ball; null (or no
+   *   english) mirrors off the cushion response
    * @returns {ShotPath[]}
    */
-  findAllShots(cuePos, objectPos, targetPocket = null, maxBanks = 2) {
+  findAllShots(cuePos, objectPos, targetPocket = null, maxBanks = 2, options = {}) {
+    const spin = withEnglish(options.spin ?? null);
     const shots = [];
     const pockets = targetPocket
       ? { [targetPocket]: this.pockets[targetPocket] }
       : this.pockets;
 
-    for (const [name, pocketPos] of Object.entries(pockets)) {
+    for (const name of Object.keys(pockets)) {
       // Direct shot
-      const direct = this._calcDirect(cuePos, objectPos, pocketPos);
+      const direct = this._calcDirect(cuePos, objectPos, name);
       if (direct) shots.push(direct);
 
-      // Single bank shots
-      if (maxBanks >= 1) {
-        for (const rail of ALL_RAILS) {
-          const shot = this._calcSingleBank(cuePos, objectPos, pocketPos, rail);
-          if (shot) shots.push(shot);
+      // Bank shots over every rail sequence up to maxBanks long
+      for (const rails of this._railSequences(objectPos, this.pockets[name], maxBanks)) {
+        const shot = this._calcBank(cuePos, objectPos, name, rails, spin);
+        if (shot) shots.push(shot);
+      }
+    }
+
+    for (const shot of shots) this._applyScoring(shot);
+    shots.sort((a, b) => a.difficultyScore - b.difficultyScore);
+    return shots;
+  }
+
+  /**
+   * Find shots for a full table layout, checking every path segment against the
+   * other balls. A leg is blocked when another ball's center comes within
+   * a ball diameter of the moving ball's center line.
+   * @param {Array<{x:number, y:number}>} balls - every ball on the table
+   * @param {number} cueIdx - index of the cue ball in balls
+   * @param {number} objectIdx - index of the object ball in balls
+   * @param {string|null} targetPocket - specific pocket name or null for all
+   * @param {number} maxBanks - 0=direct only, N=banks off up to N rails
+   * @param {Object} [options]
+   * @param {'reject'|'penalize'} [options.obstructions='reject'] - drop blocked
+   *   shots into `blocked`, or keep them in `shots` with a difficulty penalty
+   * @param {boolean} [options.kicks=true] - when only the cue ball's leg is
+   *   blocked, try kicking the cue ball off the rails to the same ghost ball
+   * @param {number} [options.maxKickRails=3] - rails the cue ball may use on a kick;
+   *   three lets long-short-long kicks get corner-five numbers
+   * @param {boolean} [options.jumps=true] - when every way to a ghost ball is
+   *   blocked, try jumping the cue ball over the blockers
+   * @param {boolean} [options.masse=true] - likewise, try curving it round them
+   * @param {number} [options.maxComboBalls=3] - longest combination chain
+   *   (object ball included) to try; below 2 disables combinations
+   * @param {Spin|null} [options.spin=null] - spin for banks and kicks, as findAllShots
+   * @param {BallsOn|null} [options.legal=null] - snooker: balls that may be struck first
+   *   and potted; combinations are kept only where it allows plants
+   * @returns {{shots: ShotPath[], blocked: ShotPath[], invalid: ShotPath[]}} `invalid`
+   *   holds shots a frozen ball or the rules rule out, with their `invalidReason`
+   */
+  findLayoutShots(balls, cueIdx, objectIdx, targetPocket = null, maxBanks = 2, options = {}) {
+    const {
+      obstructions = 'reject', kicks = true, maxKickRails = 3, jumps = true, masse = true, maxComboBalls = 3,
+      legal = null,
+    } = options;
+    const spin = withEnglish(options.spin ?? null);
+    const cue = balls[cueIdx];
+    const object = balls[objectIdx];
+    const exclude = new Set([cueIdx, objectIdx]);
+
+    const candidates = this.findAllShots([cue.x, cue.y], [object.x, object.y], targetPocket, maxBanks, { spin });
+    for (const shot of candidates) {
+      shot.blockedBy = this._shotBlockers(shot, balls, cueIdx, objectIdx);
+    }
+
+    if (kicks) {
+      for (const shot of [...candidates]) {
+        const cueOnlyBlocked = shot.blockedBy.length > 0 &&
+          shot.blockedBy.every(b => b.segment < shot.cueLegs);
+        if (!cueOnlyBlocked) continue;
+        for (const rails of this._railSequences(shot.cuePos, shot.aimPoint, maxKickRails)) {
+          const kick = this._calcKick(shot, rails, spin);
+          if (!kick) continue;
+          this._applyScoring(kick);
+          kick.blockedBy = this._shotBlockers(kick, balls, cueIdx, objectIdx);
+          candidates.push(kick);
         }
       }
+    }
+
+    // No way through to the ghost ball, kicks included: hop the cue ball over or swerve it round
+    if (jumps || masse) {
+      for (const shot of [...candidates]) {
+        if (shot.type !== SHOT_TYPE.DIRECT && shot.type !== SHOT_TYPE.BANK) continue;
+        const cueOnlyBlocked = shot.blockedBy.length > 0 &&
+          shot.blockedBy.every(b => b.segment < shot.cueLegs);
+        if (!cueOnlyBlocked) continue;
+        if (candidates.some(k => k.type === SHOT_TYPE.KICK && k.aimPoint === shot.aimPoint && k.blockedBy.length === 0)) continue;
+
+        const around = [jumps && this._calcJump(shot, balls), masse && this._calcMasse(shot, balls, exclude)];
+        for (const alt of around) {
+          if (!alt) continue;
+          this._applyScoring(alt);
+          const penalty = alt.type === SHOT_TYPE.JUMP ? JUMP_PENALTY : MASSE_PENALTY;
+          alt.difficultyScore = Math.min(1.0, alt.difficultyScore + penalty);
+          alt.difficulty = this._scoreToDifficulty(alt.difficultyScore);
+          alt.blockedBy = [];
+          candidates.push(alt);
+        }
+      }
+    }
+
+    if (maxComboBalls >= 2) {
+      candidates.push(...this._findCombos(balls, cueIdx, objectIdx, targetPocket, maxComboBalls));
+    }
+
+    // An object ball frozen to a cushion can still go down the rail, cue ball hitting rail and ball together
+    const frozenRail = this._frozenRail([object.x, object.y]);
+    if (frozenRail) {
+      for (const name of RAIL_CORNERS[frozenRail]) {
+        if (targetPocket && name !== targetPocket) continue;
+        const shot = this._calcRailFirst([cue.x, cue.y], [object.x, object.y], frozenRail, name);
+        if (!shot) continue;
+        this._applyScoring(shot);
+        shot.blockedBy = this._shotBlockers(shot, balls, cueIdx, objectIdx);
+        candidates.push(shot);
+      }
+    }
+    for (const shot of candidates) {
+      this._checkFrozen(shot, balls, cueIdx, objectIdx);
+      if (legal && !shot.invalidReason) this._checkBallsOn(shot, objectIdx, legal);
+    }
+
+    for (const shot of candidates) {
+      const struck = shot.comboBalls ? shot.comboBalls[0] : objectIdx;
+      const ignore = new Set([cueIdx, struck]);
+      shot.cueAfter = {};
+      for (const spin of Object.values(CUE_SPIN)) {
+        shot.cueAfter[spin] = this.cueBallPath(shot, spin, balls, ignore);
+      }
+      if (!shot.comboBalls) this._markKisses(shot);
+    }
 
-      // Double bank shots
-      if (maxBanks >= 2) {
-        for (const rail1 of ALL_RAILS) {
-          for (const rail2 of ALL_RAILS) {
-            if (rail1 === rail2) continue;
-            const shot = this._calcDoubleBank(cuePos, objectPos, pocketPos, rail1, rail2);
-            if (shot) shots.push(shot);
+    const shots = [];
+    const blocked = [];
+    const invalid = [];
+    for (const shot of candidates) {
+      if (shot.invalidReason) {
+        invalid.push(shot);
+      } else if (shot.blockedBy.length === 0) {
+        shots.push(shot);
+      } else if (obstructions === 'penalize') {
+        shot.difficultyScore = Math.min(1.0, shot.difficultyScore + OBSTRUCTION_PENALTY * shot.blockedBy.length);
+        shot.difficulty = this._scoreToDifficulty(shot.difficultyScore);
+        shots.push(shot);
+      } else {
+        blocked.push(shot);
+      }
+    }
+
+    // Clear shots first, then by difficulty
+    shots.sort((a, b) => a.blockedBy.length - b.blockedBy.length || a.difficultyScore - b.difficultyScore);
+    return { shots, blocked, invalid };
+  }
+
+  /** Rail a ball at `pos` is frozen to, or null. */
+  _frozenRail(pos) {
+    for (const rail of ALL_RAILS) {
+      const vertical = rail === RAIL.LEFT || rail === RAIL.RIGHT;
+      if (Math.abs((vertical ? pos[0] : pos[1]) - this._railLine(rail)) <= FROZEN_GAP) return rail;
+    }
+    return null;
+  }
+
+  /** Are two balls frozen together? */
+  _frozenPair(a, b) {
+    return hypot(b[0] - a[0], b[1] - a[1]) <= this.ballRadius * 2 + FROZEN_GAP;
+  }
+
+  /**
+   * Flag `shot` when a frozen ball rules it out: the pocketed ball can't set off
+   * into a cushion it's frozen to, and a cue ball frozen to the ball it strikes
+   * can only push that ball along their line of centers (within
+   * FROZEN_THROW_MAX), never kick to it.
+   */
+  _checkFrozen(shot, balls, cueIdx, objectIdx) {
+    const pos = i => [balls[i].x, balls[i].y];
+    const unit = ([a, b]) => {
+      const len = hypot(b[0] - a[0], b[1] - a[1]);
+      return [(b[0] - a[0]) / len, (b[1] - a[1]) / len];
+    };
+
+    const pocketedLeg = shot.comboBalls ? shot.pathSegments[shot.pathSegments.length - 1] : shot.pathSegments[shot.cueLegs];
+    const rail = shot.type !== SHOT_TYPE.RAIL_FIRST && this._frozenRail(pocketedLeg[0]);
+    if (rail) {
+      const [dx, dy] = unit(pocketedLeg);
+      const [nx, ny] = RAIL_NORMAL[rail];
+      if (dx * nx + dy * ny > 1e-6) {
+        shot.invalidReason = `object ball is frozen to the ${rail} cushion`;
+        return;
+      }
+    }
+
+    const struck = shot.comboBalls ? shot.comboBalls[0] : objectIdx;
+    if (!this._frozenPair(pos(cueIdx), pos(struck))) return;
+    const [cx, cy] = unit([pos(cueIdx), pos(struck)]);
+    const [dx, dy] = unit(shot.pathSegments[shot.cueLegs]);
+    if (shot.type === SHOT_TYPE.KICK ||
+        Math.acos(Math.min(1, cx * dx + cy * dy)) > FROZEN_THROW_MAX) {
+      shot.invalidReason = 'cue ball is frozen to the ball it strikes';
+      return;
+    }
+    shot.frozenRule = FROZEN_RULE.FROZEN_CUE;
+  }
+
+  /**
+   * Flag `shot` as a foul when the ball it strikes first or the ball it pots
+   * is not on, or it plants one ball on into another when plants aren't allowed.
+   * @param {ShotPath} shot
+   * @param {number} objectIdx - the ball the shot pots
+   * @param {BallsOn} legal
+   */
+  _checkBallsOn(shot, objectIdx, legal) {
+    const struck = shot.comboBalls ? shot.comboBalls[0] : objectIdx;
+    if (!legal.on.includes(objectIdx)) {
+      shot.invalidReason = 'potted ball is not on';
+    } else if (!legal.on.includes(struck)) {
+      shot.invalidReason = 'first ball struck is not on';
+    } else if (shot.comboBalls && !legal.plants) {
+      shot.invalidReason = 'plant is not allowed on this ball';
+    }
+  }
+
+  /**
+   * Object ball frozen to `rail`, sent along it into the corner pocket at one
+   * end: the cue ball strikes cushion and ball at once, the ghost ball sitting
+   * on the rail line, and the cushion holds the ball to the rail.
+   */
+  _calcRailFirst(cuePos, objectPos, rail, pocketName) {
+    const window = this._pocketWindow(pocketName, objectPos);
+    if (!window) return null;
+    const vertical = rail === RAIL.LEFT || rail === RAIL.RIGHT;
+    const pocket = this.pockets[pocketName];
+    const sign = Math.sign(vertical ? pocket[1] - objectPos[1] : pocket[0] - objectPos[0]);
+    const u = vertical ? [0, sign] : [sign, 0];
+
+    // The ball has to roll through the window along the rail line
+    const [[ax, ay], [bx, by]] = window.edges;
+    const ex = bx - ax, ey = by - ay;
+    const denom = u[0] * ey - u[1] * ex;
+    if (Math.abs(denom) < 1e-12) return null;
+    const qx = ax - objectPos[0], qy = ay - objectPos[1];
+    const t = (qx * ey - qy * ex) / denom;
+    // Across the window, with the frozen tolerance to spare: the cushion steers the ball in
+    const slack = FROZEN_GAP / hypot(ex, ey);
+    const w = (qx * u[1] - qy * u[0]) / denom;
+    if (t <= 0 || w < -slack || w > 1 + slack) return null;
+    const target = [objectPos[0] + t * u[0], objectPos[1] + t * u[1]];
+
+    const aim = this._ghostBallPoint(objectPos, u);
+    if (!this._onRail(aim, rail)) return null;
+    const cueDist = hypot(aim[0] - cuePos[0], aim[1] - cuePos[1]);
+    const score = this._rateDifficulty(cueDist, t, 0);
+
+    return this._finishShot({
+      type: SHOT_TYPE.RAIL_FIRST, cuePos, objectPos, targetPocket: pocket, pocketName,
+      aimPoint: aim, bankPoints: [], cushionPoints: [], railsUsed: [], cueLegs: 1,
+      frozenRule: FROZEN_RULE.RAIL_FIRST,
+      pocketWindow: window, angularTolerance: window.angularTolerance,
+      totalDistance: cueDist + t,
+      difficulty: this._scoreToDifficulty(score),
+      difficultyScore: score,
+      pathSegments: [[cuePos, aim], [objectPos, target]],
+    });
+  }
+
+  /**
+   * Ball in hand: put the cue ball on each spot of a grid over the table (or
+   * just the kitchen) and keep the easiest clear shot on `objectIdx` that does
+   * not scratch on a stun stroke. Kicks and combinations are left out; with
+   * probability scoring each shot gets `options.samples` samples.
+   * @param {Array<{x:number, y:number}>} balls
+   * @param {number} cueIdx - the cue ball; its current spot is ignored
+   * @param {number} objectIdx
+   * @param {string|null} targetPocket - specific pocket name or null for all
+   * @param {Object} [options]
+   * @param {boolean} [options.kitchen=false] - only behind the head string, or
+   *   inside the D on a snooker table
+   * @param {number} [options.step] - grid spacing in mm, two ball diameters by default
+   * @param {number} [options.maxBanks=1]
+   * @param {number} [options.samples=50]
+   * @param {number} [options.top=5] - placements to return
+   * @param {BallsOn|null} [options.legal=null] - snooker: balls on, as findLayoutShots
+   * @returns {BallInHandResult}
+   */
+  findBallInHand(balls, cueIdx, objectIdx, targetPocket = null, options = {}) {
+    const r = this.ballRadius;
+    const {
+      kitchen = false, step = r * 4, maxBanks = 1, samples = BALL_IN_HAND_SAMPLES, top = 5, legal = null,
+    } = options;
+    const grid = this._cueGrid(step, kitchen);
+    const { x0, y0, cols, rows, scores } = grid;
+
+    const sweep = new BankShotCalculator(this.profile, {
+      scoring: this.scoring, samples, aimSigma: this.aimSigma, speedSigma: this.speedSigma, seed: this.seed,
+      maxCutAngle: this.maxCutAngle, cushionResponse: this.cushionResponse,
+    });
+    const layout = [...balls];
+    const placements = [];
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const x = x0 + col * step, y = y0 + row * step;
+        const overlaps = balls.some((b, i) => i !== cueIdx && hypot(b.x - x, b.y - y) < r * 2);
+        if (overlaps || (kitchen && !this._inKitchen(x, y))) continue;
+
+        layout[cueIdx] = { ...balls[cueIdx], x, y };
+        const { shots } = sweep.findLayoutShots(layout, cueIdx, objectIdx, targetPocket, maxBanks, {
+          kicks: false, jumps: false, masse: false, maxComboBalls: 0, legal,
+        });
+        const shot = shots.find(s => !s.cueAfter.stun.scratch);
+        if (!shot) continue;
+
+        scores[row * cols + col] = shot.difficultyScore;
+        placements.push({ x, y, shot });
+      }
+    }
+
+    placements.sort((a, b) => a.shot.difficultyScore - b.shot.difficultyScore);
+    return { placements: placements.slice(0, top), grid };
+  }
+
+  /**
+   * How hard `objectPos` is to pot from every cue-ball spot: the best shot
+   * from `findAllShots` (banks included, no obstruction checks) on the same
+   * grid as `findBallInHand`. Heavy; the app runs it in the physics worker.
+   * @param {number[]} objectPos
+   * @param {string|null} targetPocket - specific pocket name or null for all
+   * @param {Object} [options]
+   * @param {number} [options.step] - grid spacing in mm, two ball diameters by default
+   * @param {number} [options.maxBanks=2]
+   * @returns {DifficultyGrid}
+   */
+  difficultyGrid(objectPos, targetPocket = null, options = {}) {
+    const { step = this.ballRadius * 4, maxBanks = 2 } = options;
+    const grid = this._cueGrid(step, false);
+    const { x0, y0, cols, rows, scores } = grid;
+    grid.difficulties = new Array(scores.length).fill(null);
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const x = x0 + col * step, y = y0 + row * step;
+        if (hypot(objectPos[0] - x, objectPos[1] - y) < this.ballRadius * 2) continue;
+
+        const [best] = this.findAllShots([x, y], objectPos, targetPocket, maxBanks);
+        if (!best) continue;
+        scores[row * cols + col] = best.difficultyScore;
+        grid.difficulties[row * cols + col] = best.difficulty;
+      }
+    }
+    return grid;
+  }
+
+  /**
+   * Three-cushion carom on a pocketless table: cue-ball routes that hit one
+   * object ball, then the other, with at least CAROM_MIN_CUSHIONS cushions
+   * before the second (counting any before the first). Each rail sequence is
+   * split between the legs before and after the first ball and solved with the
+   * same mirror unfolding as banks and kicks; only where the cue ball meets
+   * the first ball is searched for. Either ball may be hit first.
+   * @param {Array<{x:number, y:number}>} balls
+   * @param {number} cueIdx
+   * @param {number[]} objectIdxs - the two object balls
+   * @param {Object} [options]
+   * @param {number} [options.maxRails=4] - most cushions before the second ball
+   * @param {string} [options.spin=CUE_SPIN.FOLLOW] - cue-ball spin at the first ball
+   * @returns {{shots: ShotPath[], blocked: ShotPath[]}} easiest first; `blocked` routes
+   *   run into a ball too early
+   */
+  findCaromShots(balls, cueIdx, objectIdxs, options = {}) {
+    const { maxRails = 4, spin = CUE_SPIN.FOLLOW } = options;
+    const pos = i => [balls[i].x, balls[i].y];
+    const cuePos = pos(cueIdx);
+    const [a, b] = objectIdxs;
+
+    const shots = [];
+    const blocked = [];
+    for (const [first, second] of [[a, b], [b, a]]) {
+      const sequences = this._railSequences(cuePos, pos(second), maxRails)
+        .filter(rails => rails.length >= CAROM_MIN_CUSHIONS);
+      for (const rails of sequences) {
+        for (let split = 0; split <= rails.length; split++) {
+          const routes = this._solveCarom(cuePos, pos(first), pos(second), rails.slice(0, split), rails.slice(split), spin);
+          for (const shot of routes) {
+            shot.caromBalls = [first, second];
+            const exclude = new Set([cueIdx, first]);
+            const last = shot.pathSegments.length - 1;
+            shot.blockedBy = [
+              // The cue ball runs up to the first ball on its last leg in and to the second on its last leg
+              ...this._findBlockers(shot.pathSegments.slice(0, shot.cueLegs - 1), balls, new Set([cueIdx])),
+              ...this._findBlockers(shot.pathSegments.slice(shot.cueLegs - 1, last), balls, exclude)
+                .map(o => ({ ...o, segment: o.segment + shot.cueLegs - 1 })),
+              ...this._findBlockers([shot.pathSegments[last]], balls, new Set([cueIdx, first, second]))
+                .map(o => ({ ...o, segment: last })),
+            ];
+            (shot.blockedBy.length === 0 ? shots : blocked).push(shot);
           }
         }
       }
     }
 
-    shots.sort((a, b) => a.difficultyScore - b.difficultyScore);
-    return shots;
+    shots.sort((x, y) => x.difficultyScore - y.difficultyScore);
+    return { shots, blocked };
+  }
+
+  /**
+   * Empty grid of cue-ball spots `step` apart, one ball radius in from the
+   * cushions; `kitchen` stops it at the head string (the baulk line on snooker).
+   * @returns {PlacementGrid}
+   */
+  _cueGrid(step, kitchen) {
+    const r = this.ballRadius;
+    const x0 = this.rails.left + r, y0 = this.rails.bottom + r;
+    const xMax = this.rails.right - r;
+    const yMax = !kitchen ? this.rails.top - r
+      : this.profile.baulkLine !== null ? this.rails.bottom + this.profile.baulkLine
+        : this.rails.bottom + (this.rails.top - this.rails.bottom) * HEAD_STRING;
+    const cols = Math.floor((xMax - x0) / step) + 1;
+    const rows = Math.floor((yMax - y0) / step) + 1;
+    return { x0, y0, step, cols, rows, scores: new Float32Array(cols * rows).fill(NaN) };
+  }
+
+  /** Can the cue ball be placed at (x, y) from hand? Behind the head string, or in the D on snooker. */
+  _inKitchen(x, y) {
+    const { baulkLine, dRadius } = this.profile;
+    if (baulkLine === null) return y <= this.rails.bottom + (this.rails.top - this.rails.bottom) * HEAD_STRING;
+    return hypot(x - (this.rails.left + this.rails.right) / 2, y - (this.rails.bottom + baulkLine)) <= dRadius &&
+      y <= this.rails.bottom + baulkLine;
+  }
+
+  /**
+   * Predicted cue-ball route once it reaches the ghost ball. After the cloth
+   * takes out the skid, the cue ball leaves along (5·v_t + 2·s·v) / 7, where
+   * v_t is the tangent-line velocity, v the incoming velocity and s the
+   * SPIN_AMOUNT; the bend is taken to happen at contact. The route is followed
+   * off up to CUE_AFTER_RAILS rails and stops at the first pocket or ball.
+   * @param {ShotPath} shot
+   * @param {string} [spin=CUE_SPIN.STUN]
+   * @param {Array<{x:number, y:number}>} [balls=[]] - layout to check for collisions
+   * @param {Set<number>} [exclude] - layout indices to ignore (cue ball, struck ball)
+   * @returns {CuePath}
+   */
+  cueBallPath(shot, spin = CUE_SPIN.STUN, balls = [], exclude = new Set()) {
+    const path = { spin, pathSegments: [], bankPoints: [], scratch: null, hitsBall: null, speedRatio: 0 };
+    const [from, ghost] = this._cueLeg(shot, shot.cueLegs - 1);
+    const struck = shot.pathSegments[shot.cueLegs][0];
+    const inLen = hypot(ghost[0] - from[0], ghost[1] - from[1]);
+    if (inLen < 1e-6) return path;
+
+    const d = [(ghost[0] - from[0]) / inLen, (ghost[1] - from[1]) / inLen];
+    const [vx, vy] = this._cueDeparture(d, ghost, struck, spin);
+    const speed = hypot(vx, vy);
+    // Full-ball stun: the cue ball stops dead
+    if (speed < 1e-6) return path;
+    path.speedRatio = speed;
+
+    let p = ghost;
+    let u = [vx / speed, vy / speed];
+    let travel = this.diag * CUE_AFTER_TRAVEL_DIAGONALS;
+    for (let rebound = 0; rebound <= CUE_AFTER_RAILS && travel > 0; rebound++) {
+      let end = travel, rail = null;
+      for (const r of ALL_RAILS) {
+        const t = this._railDistance(p, u, r);
+        if (t < end) { end = t; rail = r; }
+      }
+
+      const ballHit = this._firstBallHit(p, u, end, balls, exclude);
+      if (ballHit) { end = ballHit.t; rail = null; path.hitsBall = ballHit.index; }
+      const pocket = this._firstPocketEntry(p, u, end);
+      if (pocket) { end = pocket.t; rail = null; path.hitsBall = null; path.scratch = pocket.name; }
+
+      const q = [p[0] + end * u[0], p[1] + end * u[1]];
+      path.pathSegments.push([p, q]);
+      if (!rail) break;
+
+      path.bankPoints.push(q);
+      travel -= end;
+      p = q;
+      u = rail === RAIL.LEFT || rail === RAIL.RIGHT ? [-u[0], u[1]] : [u[0], -u[1]];
+    }
+    return path;
+  }
+
+  /**
+   * Cue-ball velocity leaving the ghost ball, per unit of its speed arriving
+   * along unit `d`: (5·v_t + 2·s·v) / 7 once the cloth takes out the skid,
+   * with s the SPIN_AMOUNT of `spin`.
+   * @returns {number[]}
+   */
+  _cueDeparture(d, ghost, struck, spin) {
+    const n = [(struck[0] - ghost[0]) / (2 * this.ballRadius), (struck[1] - ghost[1]) / (2 * this.ballRadius)];
+    const dn = d[0] * n[0] + d[1] * n[1];
+    const spinAmount = SPIN_AMOUNT[spin] ?? 0;
+    return [
+      (5 * (d[0] - dn * n[0]) + 2 * spinAmount * d[0]) / 7,
+      (5 * (d[1] - dn * n[1]) + 2 * spinAmount * d[1]) / 7,
+    ];
+  }
+
+  /**
+   * Double kisses: for each CUE_SPIN, roll the object ball and the cue ball
+   * along their routes from contact and see whether they meet again. Banks
+   * that come back across the cue ball's path (cross-side, straight back) are
+   * the usual culprits. Adds KISS_PENALTY × kissRisk to the difficulty.
+   */
+  _markKisses(shot) {
+    shot.kisses = {};
+    for (const spin of Object.values(CUE_SPIN)) {
+      shot.kisses[spin] = this._findKiss(shot, shot.cueAfter[spin]);
+    }
+    const spins = Object.values(shot.kisses);
+    shot.kissRisk = spins.filter(Boolean).length / spins.length;
+    if (shot.kissRisk > 0) {
+      shot.difficultyScore = Math.min(1.0, shot.difficultyScore + KISS_PENALTY * shot.kissRisk);
+      shot.difficulty = this._scoreToDifficulty(shot.difficultyScore);
+    }
+  }
+
+  /**
+   * Step both balls through time from contact at the shot's contact speed: the
+   * object ball leaves at cos(cut) of it, the cue ball at its route's
+   * speedRatio. Both roll against ROLLING_RESISTANCE and keep
+   * CUSHION_RESTITUTION of their normal speed off each cushion. The object
+   * ball stops at the pocket and the cue ball where its route ends.
+   * @returns {Kiss|null} the first time they close to a ball diameter after parting
+   */
+  _findKiss(shot, cuePath) {
+    const objectRoute = this._rollingRoute(shot.pathSegments.slice(shot.cueLegs), shot.contactSpeed * Math.cos(shot.cutAngle));
+    const cueRoute = this._rollingRoute(cuePath.pathSegments, shot.contactSpeed * cuePath.speedRatio);
+    const ghost = shot.pathSegments[shot.cueLegs - 1][1];
+    const diameter = this.ballRadius * 2;
+
+    let parted = false;
+    for (let time = KISS_STEP; !objectRoute.done; time += KISS_STEP) {
+      const o = objectRoute.advance(KISS_STEP);
+      const c = cueRoute.done ? cueRoute.position() : cueRoute.advance(KISS_STEP);
+      const p = cueRoute.segments ? c : ghost;
+      const gap = hypot(o[0] - p[0], o[1] - p[1]);
+      if (!parted) {
+        parted = gap > diameter + KISS_CLEARANCE;
+      } else if (gap < diameter) {
+        return { time, point: [(o[0] + p[0]) / 2, (o[1] + p[1]) / 2] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A ball rolling along consecutive `segments` from `speed`: advance(dt) moves
+   * it on and returns its center; `done` once it stops or runs out of route.
+   */
+  _rollingRoute(segments, speed) {
+    const decel = ROLLING_RESISTANCE * GRAVITY;
+    const e2 = CUSHION_RESTITUTION * CUSHION_RESTITUTION;
+    const route = {
+      segments: segments.length > 0 ? segments : null,
+      done: segments.length === 0 || speed <= 0,
+      leg: 0,
+      along: 0,
+      position() {
+        if (!this.segments) return null;
+        const [a, b] = segments[this.leg];
+        const len = hypot(b[0] - a[0], b[1] - a[1]);
+        const f = len > 0 ? Math.min(1, this.along / len) : 1;
+        return [a[0] + f * (b[0] - a[0]), a[1] + f * (b[1] - a[1])];
+      },
+      advance(dt) {
+        let step = speed * dt - 0.5 * decel * dt * dt;
+        speed -= decel * dt;
+        if (speed <= 0) this.done = true;
+        while (step > 0 && !this.done) {
+          const [a, b] = segments[this.leg];
+          const len = hypot(b[0] - a[0], b[1] - a[1]);
+          if (this.along + step < len) {
+            this.along += step;
+            break;
+          }
+          step -= len - this.along;
+          if (this.leg === segments.length - 1) {
+            this.along = len;
+            this.done = true;
+            break;
+          }
+          // Cushion between this leg and the next: the normal part of the velocity flips
+          const [c, d] = segments[this.leg + 1];
+          const lenNext = hypot(d[0] - c[0], d[1] - c[1]);
+          const nx = ((b[0] - a[0]) / len - (d[0] - c[0]) / lenNext) / 2;
+          const ny = ((b[1] - a[1]) / len - (d[1] - c[1]) / lenNext) / 2;
+          const keep = Math.sqrt(1 - (1 - e2) * (nx * nx + ny * ny));
+          speed *= keep;
+          step *= keep;
+          this.leg++;
+          this.along = 0;
+        }
+        return this.position();
+      },
+    };
+    return route;
+  }
+
+  /**
+   * First ball (outside `exclude`) a ball rolling from `p` along unit `u`
+   * touches within `limit`.
+   * @returns {{index: number, t: number}|null}
+   */
+  _firstBallHit(p, u, limit, balls, exclude) {
+    let first = null;
+    balls.forEach((ball, i) => {
+      if (exclude.has(i)) return;
+      const t = this._rayCircleEntry(p, u, [ball.x, ball.y], this.ballRadius * 2);
+      if (t !== null && t < limit && (!first || t < first.t)) first = { index: i, t };
+    });
+    return first;
+  }
+
+  /**
+   * First pocket whose mouth a ball center rolling from `p` along unit `u`
+   * comes within half an opening of, within `limit`.
+   * @returns {{name: string, t: number}|null}
+   */
+  _firstPocketEntry(p, u, limit) {
+    let first = null;
+    for (const name of Object.keys(this.pockets)) {
+      const { mouth } = pocketMouth(name, this.profile);
+      const t = this._rayCircleEntry(p, u, mouth, this.pocketSpecs[name].opening / 2);
+      if (t !== null && t < limit && (!first || t < first.t)) first = { name, t };
+    }
+    return first;
+  }
+
+  /** Distance along unit `u` from `p` to where it enters the circle, or null if it never does. */
+  _rayCircleEntry(p, u, center, radius) {
+    const wx = center[0] - p[0], wy = center[1] - p[1];
+    const b = wx * u[0] + wy * u[1];
+    const c = wx * wx + wy * wy - radius * radius;
+    if (c < 0) return null;
+    const disc = b * b - c;
+    if (disc < 0 || b < 0) return null;
+    return b - Math.sqrt(disc);
+  }
+
+  /**
+   * Combination shots that pocket `objectIdx`: the cue ball drives the first
+   * ball of the chain into the next, and so on, each ghost ball placed with
+   * `_ghostBallPoint`. Every leg is checked for obstructions, ignoring only the
+   * ball that moves along it and the one it is meant to hit.
+   * @returns {ShotPath[]}
+   */
+  _findCombos(balls, cueIdx, objectIdx, targetPocket, maxComboBalls) {
+    const combos = [];
+    const pocketNames = targetPocket ? [targetPocket] : Object.keys(this.pockets);
+    const others = balls.map((_, i) => i).filter(i => i !== cueIdx && i !== objectIdx);
+    const pos = i => [balls[i].x, balls[i].y];
+
+    const chains = others.map(a => [a, objectIdx]);
+    if (maxComboBalls >= 3) {
+      for (const a of others) {
+        for (const b of others) {
+          if (a !== b) chains.push([a, b, objectIdx]);
+        }
+      }
+    }
+
+    for (const name of pocketNames) {
+      for (const chain of chains) {
+        const shot = this._calcCombo(pos(cueIdx), chain.map(pos), name);
+        if (!shot) continue;
+        shot.comboBalls = chain;
+        this._applyScoring(shot);
+
+        shot.blockedBy = [];
+        shot.pathSegments.forEach((segment, s) => {
+          // The cue ball only moves along its own leg; it sits on its spot for the rest
+          const exclude = new Set(s === 0 ? [cueIdx, chain[0]] : [chain[s - 1], chain[s]]);
+          for (const b of this._findBlockers([segment], balls, exclude)) {
+            shot.blockedBy.push({ ballIndex: b.ballIndex, segment: s });
+          }
+        });
+        combos.push(shot);
+      }
+    }
+    return combos;
+  }
+
+  /**
+   * Combination from the cue ball through `chain` (ball positions, the last one
+   * pocketed). Ghost balls are solved backwards from the pocket window. Aim
+   * errors grow at every ball-to-ball link by roughly d / (2R·cos(cut)), which
+   * is folded into the difficulty and the angular tolerance. A frozen pair is a
+   * dead link: the ball goes along the line of centers however it's hit, so it
+   * adds no error, but the shot is invalid unless that line is the one needed.
+   */
+  _calcCombo(cuePos, chain, pocketName) {
+    const last = chain[chain.length - 1];
+    const window = this._pocketWindow(pocketName, last);
+    if (!window) return null;
+    const target = window.center;
+
+    // Walk back from the pocket: each ball's ghost is where the previous ball must arrive
+    const ghosts = [];
+    let next = target;
+    for (let i = chain.length - 1; i >= 0; i--) {
+      const ball = chain[i];
+      // A ball frozen to the next one just has to be driven into it
+      if (i < chain.length - 1 && this._frozenPair(ball, chain[i + 1])) next = chain[i + 1];
+      const dx = next[0] - ball[0], dy = next[1] - ball[1];
+      const dist = hypot(dx, dy);
+      if (dist < 1e-6) return null;
+      const ghost = this._ghostBallPoint(ball, [dx / dist, dy / dist]);
+      if (!this._onTable(ghost)) return null;
+      ghosts.unshift(ghost);
+      next = ghost;
+    }
+
+    const starts = [cuePos, ...chain];
+    const segments = [];
+    let amplification = 1;
+    let dead = false, invalidReason = null;
+    for (let i = 0; i < chain.length; i++) {
+      const from = starts[i], ghost = ghosts[i], ball = chain[i];
+      if (i > 0 && this._frozenPair(from, ball)) {
+        const centers = hypot(ball[0] - from[0], ball[1] - from[1]);
+        const cos = ((ball[0] - from[0]) * (ball[0] - ghost[0]) + (ball[1] - from[1]) * (ball[1] - ghost[1])) /
+          (centers * this.ballRadius * 2);
+        if (Math.acos(Math.min(1, cos)) > FROZEN_THROW_MAX) invalidReason = 'frozen pair is not lined up with the pocket';
+        dead = true;
+        segments.push([from, ghost]);
+        continue;
+      }
+      const inX = ghost[0] - from[0], inY = ghost[1] - from[1];
+      const inDist = hypot(inX, inY);
+      if (inDist < 1e-6) return null;
+
+      // Cosine of the cut at this contact; ball-to-ball links must be fairly full
+      const cosCut = (inX * (ball[0] - ghost[0]) + inY * (ball[1] - ghost[1])) / (inDist * this.ballRadius * 2);
+      if (cosCut <= 0 || (i > 0 && cosCut < COMBO_MIN_COS_CUT)) return null;
+
+      if (i > 0) amplification *= Math.max(1, inDist / (this.ballRadius * 2 * cosCut));
+      segments.push([from, ghost]);
+    }
+    segments.push([last, target]);
+
+    const cueDist = hypot(ghosts[0][0] - cuePos[0], ghosts[0][1] - cuePos[1]);
+    const obDist = segments.slice(1).reduce((d, [a, b]) => d + hypot(b[0] - a[0], b[1] - a[1]), 0);
+    const base = this._rateDifficulty(cueDist, obDist, 0);
+    const score = Math.min(1.0, base + COMBO_ERROR_WEIGHT * Math.log2(1 + amplification));
+
+    return this._finishShot({
+      type: SHOT_TYPE.COMBO, cuePos, objectPos: last, targetPocket: this.pockets[pocketName], pocketName,
+      aimPoint: ghosts[0], bankPoints: [], cushionPoints: [], railsUsed: [], cueLegs: 1,
+      comboGhosts: ghosts.slice(1), errorAmplification: amplification,
+      ...(dead && { frozenRule: FROZEN_RULE.DEAD_COMBO }),
+      ...(invalidReason && { invalidReason }),
+      pocketWindow: window, angularTolerance: window.angularTolerance / amplification,
+      totalDistance: cueDist + obDist,
+      difficulty: this._scoreToDifficulty(score),
+      difficultyScore: score,
+      pathSegments: segments,
+    });
+  }
+
+  /**
+   * Obstructions on a single-object-ball shot. The cue ball's legs ignore the
+   * cue and object balls; the object ball's legs only the object ball, as the
+   * cue ball is still on its spot when the stroke is taken.
+   * @returns {Obstruction[]}
+   */
+  _shotBlockers(shot, balls, cueIdx, objectIdx) {
+    const cueLegs = shot.pathSegments.slice(0, shot.cueLegs);
+    const objectLegs = shot.pathSegments.slice(shot.cueLegs);
+    return [
+      ...this._findBlockers(cueLegs, balls, new Set([cueIdx, objectIdx])),
+      ...this._findBlockers(objectLegs, balls, new Set([objectIdx]))
+        .map(b => ({ ...b, segment: b.segment + shot.cueLegs })),
+    ];
+  }
+
+  /**
+   * List every ball (outside `exclude`) whose center lies inside the
+   * ball-diameter corridor of any segment.
+   * @returns {Obstruction[]}
+   */
+  _findBlockers(segments, balls, exclude) {
+    const clearance = this.ballRadius * 2 - 1e-6;
+    const blockers = [];
+    segments.forEach(([from, to], s) => {
+      balls.forEach((ball, i) => {
+        if (exclude.has(i)) return;
+        if (segmentPointDistance(from, to, [ball.x, ball.y]) < clearance) {
+          blockers.push({ ballIndex: i, segment: s });
+        }
+      });
+    });
+    return blockers;
   }
 
   _ghostBallPoint(objectPos, direction) {
@@ -88,12 +1227,16 @@ export class BankShotCalculator {
     const norm = hypot(dx, dy);
     if (norm < 1e-9) return [...objectPos];
     const ux = dx / norm, uy = dy / norm;
-    return [objectPos[0] - ux * BALL_RADIUS * 2, objectPos[1] - uy * BALL_RADIUS * 2];
+    return [objectPos[0] - ux * this.ballRadius * 2, objectPos[1] - uy * this.ballRadius * 2];
   }
 
-  _calcDirect(cuePos, objectPos, pocketPos) {
-    const dx = pocketPos[0] - objectPos[0];
-    const dy = pocketPos[1] - objectPos[1];
+  _calcDirect(cuePos, objectPos, pocketName) {
+    const window = this._pocketWindow(pocketName, objectPos);
+    if (!window) return null;
+    const target = window.center;
+
+    const dx = target[0] - objectPos[0];
+    const dy = target[1] - objectPos[1];
     const dist = hypot(dx, dy);
     if (dist < 1e-6) return null;
 
@@ -105,91 +1248,822 @@ export class BankShotCalculator {
     const totalDist = cueDist + dist;
     const score = this._rateDifficulty(cueDist, dist, 0);
 
-    return {
-      cuePos, objectPos, targetPocket: pocketPos,
-      aimPoint: aim, bankPoints: [], railsUsed: [],
+    return this._finishShot({
+      type: SHOT_TYPE.DIRECT, cuePos, objectPos, targetPocket: this.pockets[pocketName], pocketName,
+      aimPoint: aim, bankPoints: [], cushionPoints: [], railsUsed: [], cueLegs: 1,
+      pocketWindow: window, angularTolerance: window.angularTolerance,
       totalDistance: totalDist,
       difficulty: this._scoreToDifficulty(score),
       difficultyScore: score,
-      pathSegments: [[cuePos, aim], [objectPos, pocketPos]],
-    };
+      pathSegments: [[cuePos, aim], [objectPos, target]],
+    });
   }
 
-  _calcSingleBank(cuePos, objectPos, pocketPos, rail) {
-    const mirror = this._reflectPoint(pocketPos, rail);
-    if (!mirror) return null;
-
-    const bankPoint = this._lineRailIntersection(objectPos, mirror, rail);
-    if (!bankPoint || !this._onRail(bankPoint, rail)) return null;
+  _calcBank(cuePos, objectPos, pocketName, rails, spin = null) {
+    const bank = this._aimBank(objectPos, pocketName, rails, spin);
+    if (!bank) return null;
+    const { banks, window, response } = bank;
 
-    const dx = bankPoint[0] - objectPos[0];
-    const dy = bankPoint[1] - objectPos[1];
-    const dist1 = hypot(dx, dy);
-    if (dist1 < 1e-6) return null;
+    const dx = banks[0][0] - objectPos[0];
+    const dy = banks[0][1] - objectPos[1];
+    const distOb = hypot(dx, dy);
+    if (distOb < 1e-6) return null;
 
-    const direction = [dx / dist1, dy / dist1];
+    const direction = [dx / distOb, dy / distOb];
     const aim = this._ghostBallPoint(objectPos, direction);
     if (!this._onTable(aim)) return null;
 
-    const dist2 = hypot(pocketPos[0] - bankPoint[0], pocketPos[1] - bankPoint[1]);
+    const ob = this._legs([objectPos, ...banks, window.center]);
     const cueDist = hypot(aim[0] - cuePos[0], aim[1] - cuePos[1]);
-    const totalDist = cueDist + dist1 + dist2;
-    const score = this._rateDifficulty(cueDist, dist1 + dist2, 1);
+    const score = this._rateDifficulty(cueDist, ob.length, rails.length);
 
-    return {
-      cuePos, objectPos, targetPocket: pocketPos,
-      aimPoint: aim, bankPoints: [bankPoint], railsUsed: [rail],
-      totalDistance: totalDist,
+    return this._finishShot({
+      type: SHOT_TYPE.BANK, cuePos, objectPos, targetPocket: this.pockets[pocketName], pocketName,
+      aimPoint: aim, bankPoints: banks, railsUsed: rails, cueLegs: 1, spin,
+      ...(response && { cushionSpeeds: response.speeds, cushionFactors: response.factors }),
+      cushionPoints: banks.map((bp, i) => this._cushionPoint(bp, rails[i])),
+      pocketWindow: window, angularTolerance: window.angularTolerance,
+      totalDistance: cueDist + ob.length,
       difficulty: this._scoreToDifficulty(score),
       difficultyScore: score,
-      pathSegments: [[cuePos, aim], [objectPos, bankPoint], [bankPoint, pocketPos]],
+      pathSegments: [[cuePos, aim], ...ob.segments],
+    });
+  }
+
+  /** Consecutive segments through `points` and their total length. */
+  _legs(points) {
+    const segments = [];
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      const [a, b] = [points[i - 1], points[i]];
+      segments.push([a, b]);
+      length += hypot(b[0] - a[0], b[1] - a[1]);
+    }
+    return { segments, length };
+  }
+
+  /**
+   * Rail sequences (shortest first) worth solving from `start` to `target`, up
+   * to `depth` rails. A rail may repeat but not twice in a row (left-right-left
+   * is fine). Sequences are grown last-rail-first so each step only reflects
+   * the previous image once; once an image is further than maxBankTravel the
+   * unfolded path is too long to play and that branch is dropped.
+   * @returns {string[][]}
+   */
+  _railSequences(start, target, depth) {
+    const sequences = [];
+    let frontier = [{ rails: [], image: target }];
+    for (let d = 1; d <= depth; d++) {
+      const next = [];
+      for (const { rails, image } of frontier) {
+        for (const rail of ALL_RAILS) {
+          if (rail === rails[0]) continue;
+          const mirrored = this._reflectPoint(image, rail);
+          if (hypot(mirrored[0] - start[0], mirrored[1] - start[1]) > this.maxBankTravel) continue;
+          next.push({ rails: [rail, ...rails], image: mirrored });
+        }
+      }
+      for (const { rails } of next) sequences.push(rails);
+      frontier = next;
+    }
+    return sequences;
+  }
+
+  /**
+   * Solve a bank off `rails` from `objectPos` to the pocket window.
+   * The window moves with the approach angle of the last leg, so the bank is
+   * re-solved against the window center until it settles.
+   * @returns {{banks: number[][], window: PocketWindow}|null}
+   */
+  _aimBank(objectPos, pocketName, rails, spin = null) {
+    let target = this.pockets[pocketName];
+    let banks = null, window = null, response = null;
+    for (let i = 0; i < POCKET_AIM_ITERATIONS; i++) {
+      banks = this._solveBankPoints(objectPos, target, rails, spin, response?.factors);
+      if (!banks) return null;
+      window = this._pocketWindow(pocketName, banks[banks.length - 1]);
+      if (!window) return null;
+      target = window.center;
+      // Spin rebounds already follow the ball's speed
+      if (!spin) response = this._cushionResponse(objectPos, banks, target, rails);
+    }
+    banks = this._solveBankPoints(objectPos, target, rails, spin, response?.factors);
+    return banks ? { banks, window, response } : null;
+  }
+
+  /**
+   * Object-ball speed reaching each of `rails` on the path start → banks → end
+   * played at the intended pace (PACE_MARGIN over just getting there), and the
+   * cushion response factor at that speed.
+   * @returns {{speeds: number[], factors: number[]}}
+   */
+  _cushionResponse(start, banks, end, rails) {
+    const decel2 = 2 * ROLLING_RESISTANCE * GRAVITY;
+    const e2 = CUSHION_RESTITUTION * CUSHION_RESTITUTION;
+    const points = [start, ...banks, end];
+    const legs = [], keeps = [];
+    for (let i = 1; i < points.length; i++) {
+      const dx = points[i][0] - points[i - 1][0], dy = points[i][1] - points[i - 1][1];
+      const len = hypot(dx, dy);
+      legs.push(len);
+      if (i <= rails.length) {
+        const vertical = rails[i - 1] === RAIL.LEFT || rails[i - 1] === RAIL.RIGHT;
+        const normal = (vertical ? dx : dy) / len;
+        keeps.push(1 - (1 - e2) * normal * normal);
+      }
+    }
+
+    // v² to just arrive, walking back from the pocket through each cushion
+    let need = 0;
+    for (let i = legs.length - 1; i >= 0; i--) {
+      need += decel2 * legs[i];
+      if (i > 0) need /= keeps[i - 1];
+    }
+
+    let v2 = need * PACE_MARGIN * PACE_MARGIN;
+    const speeds = [];
+    for (let i = 0; i < rails.length; i++) {
+      v2 -= decel2 * legs[i];
+      speeds.push(Math.sqrt(Math.max(0, v2)));
+      v2 *= keeps[i];
+    }
+    return { speeds, factors: speeds.map(v => responseFactor(this.cushionResponse, v)) };
+  }
+
+  /**
+   * Mirror-unfold `target` across `rails` (last rail first) and return the
+   * ball-center bank points, or null if any rebound misses its cushion. With
+   * every bank point on the inset rectangle each leg stays on the table.
+   * A cushion factor k stretches the image k times as far past its rail, which
+   * unfolds a rebound with k times the mirror tangent. With a spin the rebounds
+   * no longer mirror, so the unfolded line only seeds `_shootSpinBank`.
+   * @param {number[]} [factors] - cushion response factor per rail
+   */
+  _solveBankPoints(start, target, rails, spin = null, factors = null) {
+    const images = [target];
+    for (let i = rails.length - 1; i >= 0; i--) {
+      images.unshift(this._reflectPoint(images[0], rails[i], factors?.[i] ?? 1));
+    }
+    if (spin) return this._shootSpinBank(start, images[0], target, rails, spin);
+
+    const banks = [];
+    let from = start;
+    for (let i = 0; i < rails.length; i++) {
+      const bankPoint = this._lineRailIntersection(from, images[i], rails[i]);
+      if (!bankPoint || !this._onRail(bankPoint, rails[i])) return null;
+      banks.push(bankPoint);
+      from = bankPoint;
+    }
+    return banks;
+  }
+
+  /**
+   * Bank points off `rails` for a ball carrying `spin`: the launch angle is
+   * found by secant steps on the signed miss at `target`, starting from the
+   * mirror line towards `image`.
+   * @returns {number[][]|null} null if no launch angle lands every rebound on its cushion
+   */
+  _shootSpinBank(start, image, target, rails, spin) {
+    const miss = angle => {
+      const ray = this._spinRay(start, [Math.cos(angle), Math.sin(angle)], spin);
+      for (const rail of rails) {
+        if (!this._reboundWithSpin(ray, rail, spin)) return null;
+      }
+      const wx = target[0] - ray.p[0], wy = target[1] - ray.p[1];
+      if (wx * ray.d[0] + wy * ray.d[1] <= 0) return null;
+      return { value: ray.d[0] * wy - ray.d[1] * wx, banks: ray.banks };
     };
+
+    let a0 = Math.atan2(image[1] - start[1], image[0] - start[0]);
+    let a1 = a0 + 0.01;
+    let m0 = miss(a0), m1 = miss(a1);
+    for (let i = 0; i < SPIN_AIM_ITERATIONS && m0 && m1; i++) {
+      if (Math.abs(m1.value) < SPIN_AIM_TOLERANCE) break;
+      const slope = (m1.value - m0.value) / (a1 - a0);
+      if (Math.abs(slope) < 1e-9) return null;
+      [a0, m0] = [a1, m1];
+      a1 -= m1.value / slope;
+      m1 = miss(a1);
+    }
+    if (!m1 || Math.abs(m1.value) >= SPIN_AIM_TOLERANCE) return null;
+    return m1.banks.every((bp, i) => this._onRail(bp, rails[i])) ? m1.banks : null;
   }
 
-  _calcDoubleBank(cuePos, objectPos, pocketPos, rail1, rail2) {
-    const mirror1 = this._reflectPoint(pocketPos, rail2);
-    if (!mirror1) return null;
-    const mirror2 = this._reflectPoint(mirror1, rail1);
-    if (!mirror2) return null;
+  /** Moving-ball state for `_reboundWithSpin`, setting off from `p` along unit `d`. */
+  _spinRay(p, d, spin) {
+    return { p, d, speed: spin.speed, spinR: null, banks: [] };
+  }
 
-    const bank1 = this._lineRailIntersection(objectPos, mirror2, rail1);
-    if (!bank1 || !this._onRail(bank1, rail1)) return null;
+  /**
+   * Roll `ray` to `rail` and rebound it. The speed drops to rolling resistance
+   * on the way; at the cushion the normal speed keeps CUSHION_RESTITUTION and
+   * friction acts on the slip between the ball's surface and the cushion (its
+   * tangential speed plus sidespin ω·R), taking out at most 2/7 of it. The
+   * same impulse changes the sidespin, which carries on to the next rail.
+   * @returns {boolean} false if the ball never reaches `rail`
+   */
+  _reboundWithSpin(ray, rail, spin) {
+    const dist = this._railDistance(ray.p, ray.d, rail);
+    if (!isFinite(dist)) return false;
+    const speedSq = ray.speed * ray.speed - 2 * ROLLING_RESISTANCE * GRAVITY * dist;
+    if (speedSq <= 0) return false;
+    ray.speed = Math.sqrt(speedSq);
+    ray.p = [ray.p[0] + dist * ray.d[0], ray.p[1] + dist * ray.d[1]];
+    ray.banks.push(ray.p);
 
-    const bank2 = this._lineRailIntersection(bank1, mirror1, rail2);
-    if (!bank2 || !this._onRail(bank2, rail2)) return null;
+    const n = RAIL_NORMAL[rail];
+    const t = [-n[1], n[0]];
+    const vn = ray.speed * (ray.d[0] * n[0] + ray.d[1] * n[1]);
+    const vt = ray.speed * (ray.d[0] * t[0] + ray.d[1] * t[1]);
+    if (ray.spinR === null) ray.spinR = this._initialSpin(spin, vt);
 
-    const dx = bank1[0] - objectPos[0];
-    const dy = bank1[1] - objectPos[1];
-    const distOb = hypot(dx, dy);
-    if (distOb < 1e-6) return null;
+    const e = CUSHION_RESTITUTION;
+    const slip = vt + ray.spinR;
+    const impulse = -Math.sign(slip) * Math.min(CUSHION_FRICTION * (1 + e) * vn, Math.abs(slip) * 2 / 7);
+    const outT = vt + impulse, outN = -e * vn;
+    ray.spinR += impulse * 5 / 2;
+    ray.speed = hypot(outT, outN);
+    ray.d = [(outT * t[0] + outN * n[0]) / ray.speed, (outT * t[1] + outN * n[1]) / ray.speed];
+    return true;
+  }
 
-    const direction = [dx / distOb, dy / distOb];
-    const aim = this._ghostBallPoint(objectPos, direction);
-    if (!this._onTable(aim)) return null;
+  /**
+   * Sidespin ω·R (counterclockwise positive) a ball sets off with. Left
+   * english spins it clockwise; running english turns the cushion's
+   * contact point with the ball's travel along the first rail.
+   */
+  _initialSpin(spin, firstRailVt) {
+    const size = (spin.amount ?? 1) * MAX_ENGLISH * spin.speed;
+    switch (spin.english) {
+      case ENGLISH.LEFT:    return -size;
+      case ENGLISH.RIGHT:   return size;
+      case ENGLISH.RUNNING: return -Math.sign(firstRailVt) * size;
+      case ENGLISH.REVERSE: return Math.sign(firstRailVt) * size;
+    }
+    return 0;
+  }
 
-    const distB1B2 = hypot(bank2[0] - bank1[0], bank2[1] - bank1[1]);
-    const distB2P = hypot(pocketPos[0] - bank2[0], pocketPos[1] - bank2[1]);
-    const cueDist = hypot(aim[0] - cuePos[0], aim[1] - cuePos[1]);
-    const totalDist = cueDist + distOb + distB1B2 + distB2P;
-    const score = this._rateDifficulty(cueDist, distOb + distB1B2 + distB2P, 2);
+  /**
+   * Effective target window of a pocket for a ball arriving from `from`.
+   * The mouth (between the jaw points) and the throat (shelfDepth further in,
+   * narrowed by the jaw flare) are projected across the line of travel; the ball
+   * center has to pass through their overlap with a ball radius to spare on each
+   * side. The window shifts with the approach angle, so the approach is
+   * re-aimed at its center a few times.
+   * @returns {PocketWindow|null} null when the pocket can't accept a ball from here
+   */
+  _pocketWindow(pocketName, from) {
+    const spec = this.pocketSpecs[pocketName];
+    const pocketPos = this.pockets[pocketName];
+    const { mouth, facing: [fx, fy] } = pocketMouth(pocketName, this.profile);
+    const flare = (spec.jawAngle - (spec.type === 'corner' ? 135 : 90)) * Math.PI / 180;
+    const throat = spec.opening - 2 * spec.shelfDepth * Math.tan(flare);
+
+    let target = pocketPos;
+    let window = null;
+    for (let i = 0; i < POCKET_AIM_ITERATIONS; i++) {
+      const dx = target[0] - from[0], dy = target[1] - from[1];
+      const dist = hypot(dx, dy);
+      if (dist < 1e-6) return null;
+      const ux = dx / dist, uy = dy / dist;
 
+      const cosA = -(ux * fx + uy * fy);   // 1 = straight into the pocket
+      if (cosA <= 0) return null;
+
+      // Offsets across the line of travel, relative to the mouth center
+      const px = -uy, py = ux;
+      const throatShift = -spec.shelfDepth * (fx * px + fy * py);
+      const lo = Math.max(-spec.opening / 2 * cosA, throatShift - throat / 2 * cosA) + this.ballRadius;
+      const hi = Math.min(spec.opening / 2 * cosA, throatShift + throat / 2 * cosA) - this.ballRadius;
+      if (hi <= lo) return null;
+
+      const c = (lo + hi) / 2;
+      target = [mouth[0] + px * c, mouth[1] + py * c];
+      const width = hi - lo;
+      window = {
+        center: target,
+        edges: [[mouth[0] + px * lo, mouth[1] + py * lo], [mouth[0] + px * hi, mouth[1] + py * hi]],
+        width,
+        approachAngle: Math.acos(Math.min(1, cosA)),
+        angularTolerance: Math.atan2(width / 2, hypot(target[0] - from[0], target[1] - from[1])),
+      };
+    }
+    return window;
+  }
+
+  /**
+   * Coordinate of the line a ball's center travels along when touching `rail`:
+   * the cushion nose moved one ball radius into the table.
+   */
+  _railLine(rail) {
+    switch (rail) {
+      case RAIL.LEFT:   return this.rails.left + this.ballRadius;
+      case RAIL.RIGHT:  return this.rails.right - this.ballRadius;
+      case RAIL.BOTTOM: return this.rails.bottom + this.ballRadius;
+      case RAIL.TOP:    return this.rails.top - this.ballRadius;
+    }
+    return null;
+  }
+
+  /** Coordinate of the line through `rail`'s diamonds, behind the cushion nose. */
+  _diamondLine(rail) {
+    const setback = this.profile.diamondSetback;
+    switch (rail) {
+      case RAIL.LEFT:   return this.rails.left - setback;
+      case RAIL.RIGHT:  return this.rails.right + setback;
+      case RAIL.BOTTOM: return this.rails.bottom - setback;
+      case RAIL.TOP:    return this.rails.top + setback;
+    }
+    return null;
+  }
+
+  /**
+   * Attach contact details, diamond readouts and system numbers to a freshly
+   * built shot. Returns null when the cut is thinner than maxCutAngle.
+   */
+  _finishShot(shot) {
+    if (!this._addContact(shot)) return null;
+    const nominal = this._traceShot(shot, 0);
+    this._addSpeed(shot, nominal);
+    this._addThrow(shot, nominal);
+    shot.diamonds = this._diamondReadings(shot);
+    shot.systems = {};
+    const cornerFive = this._cornerFive(shot);
+    if (cornerFive) shot.systems.cornerFive = cornerFive;
+    const plusTwo = this._plusTwo(shot);
+    if (plusTwo) shot.systems.plusTwo = plusTwo;
+    return shot;
+  }
+
+  /**
+   * Cut angle, ball-hit fraction and contact point of the cue ball's first
+   * contact, from its last leg into the ghost ball and the struck ball's
+   * departure. The fraction is how much of the object ball the cue ball
+   * covers along the aim line, 1 − sin(cut).
+   * @returns {boolean} false when the cut is too thin or impossible
+   */
+  _addContact(shot) {
+    const ghost = shot.aimPoint;
+    const [from] = this._cueLeg(shot, shot.cueLegs - 1);
+    // A carom's later legs are still the cue ball's
+    const [ball] = shot.type === SHOT_TYPE.CAROM ? [shot.objectPos] : shot.pathSegments[shot.cueLegs];
+    const outX = ball[0] - ghost[0], outY = ball[1] - ghost[1];
+    // A cue ball frozen to the ball is already at the ghost and pushes it straight
+    const frozen = hypot(ghost[0] - from[0], ghost[1] - from[1]) <= FROZEN_GAP;
+    const inX = frozen ? outX : ghost[0] - from[0], inY = frozen ? outY : ghost[1] - from[1];
+    const norm = hypot(inX, inY) * hypot(outX, outY);
+    if (norm < 1e-9) return false;
+
+    const cut = Math.acos(Math.max(-1, Math.min(1, (inX * outX + inY * outY) / norm)));
+    if (cut > this.maxCutAngle) return false;
+
+    const fraction = 1 - Math.sin(cut);
+    const cross = inX * outY - inY * outX;
+    shot.cutAngle = cut;
+    shot.cutSide = cut < CUT_SIDE_MIN ? null : (cross > 0 ? 'left' : 'right');
+    shot.ballFraction = fraction;
+    shot.ballHit = BALL_HITS.reduce((a, b) => (Math.abs(b[0] - fraction) < Math.abs(a[0] - fraction) ? b : a))[1];
+    shot.contactPoint = [(ghost[0] + ball[0]) / 2, (ghost[1] + ball[1]) / 2];
+    return true;
+  }
+
+  /**
+   * Collision-induced throw at the cue ball's first contact. The struck ball
+   * leaves turned towards the cue ball's path by atan(min(μ, tan(cut)/7)), μ
+   * from BALL_FRICTION at the sliding speed, for a stun hit at the pace the
+   * probability model strokes the shot with (the hardest stroke if it can't
+   * be traced). The corrected ghost ball turns the line of centers the other
+   * way so the ball still leaves along the planned departure.
+   */
+  _addThrow(shot, nominal) {
+    const contactSpeed = shot.speed !== null
+      ? Math.sqrt(Math.max(0, nominal.contact.gain * shot.speed ** 2 - nominal.contact.loss))
+      : MAX_CUE_SPEED;
+
+    const [from] = this._cueLeg(shot, shot.cueLegs - 1);
+    const [ball, next] = shot.pathSegments[shot.cueLegs];
+    const len = hypot(next[0] - ball[0], next[1] - ball[1]);
+    const depart = [(next[0] - ball[0]) / len, (next[1] - ball[1]) / len];
+
+    let ghost = shot.aimPoint, angle = 0;
+    for (let i = 0; i < THROW_ITERATIONS; i++) {
+      const inX = ghost[0] - from[0], inY = ghost[1] - from[1];
+      const inDist = hypot(inX, inY);
+      // A frozen cue ball pushes straight through
+      const cos = inDist <= FROZEN_GAP ? 1 : Math.max(-1, Math.min(1, (inX * depart[0] + inY * depart[1]) / inDist));
+      const cut = Math.acos(cos);
+      angle = this._throwAngle(cut, contactSpeed);
+      // Turn the line of centers away from the cue ball's path
+      const turn = (inX * depart[1] - inY * depart[0]) > 0 ? angle : -angle;
+      const c = Math.cos(turn), s = Math.sin(turn);
+      const n = [depart[0] * c - depart[1] * s, depart[0] * s + depart[1] * c];
+      ghost = [ball[0] - n[0] * this.ballRadius * 2, ball[1] - n[1] * this.ballRadius * 2];
+    }
+    shot.contactSpeed = contactSpeed;
+    shot.throwAngle = angle;
+    shot.throwAimPoint = ghost;
+  }
+
+  /**
+   * Minimum and recommended cue speed from the nominal trace's v² bookkeeping:
+   * the pocketed ball arrives with v² = gain·v₀² − loss, so it just drops at
+   * v₀ = √(loss / gain).
+   */
+  _addSpeed(shot, nominal) {
+    if (!nominal || nominal.gain <= 0) {
+      shot.minSpeed = shot.speed = shot.speedLabel = null;
+      return;
+    }
+    shot.minSpeed = Math.sqrt(nominal.loss / nominal.gain);
+    shot.speed = this._strokeSpeed(nominal);
+    shot.speedLabel = shot.speed <= SOFT_SPEED ? SPEED.SOFT
+      : shot.speed <= MEDIUM_SPEED ? SPEED.MEDIUM
+      : SPEED.FIRM;
+  }
+
+  /** Throw angle (radians) of a stun hit at `cut` with the cue ball at `speed` (mm/s). */
+  _throwAngle(cut, speed) {
+    const slide = speed * Math.sin(cut) / 1000;
+    const mu = BALL_FRICTION.a + BALL_FRICTION.b * Math.exp(-BALL_FRICTION.c * slide);
+    return Math.atan(Math.min(mu, Math.tan(cut) / 7));
+  }
+
+  /**
+   * Where each rebound of `shot` sits in diamonds: the cushion contact, and
+   * where the line into it crosses the diamond line, the sight a player aims
+   * through. Rails are numbered from the bottom-left corner, 0-4 across the
+   * short rails and 0-8 along the long ones on a pool table.
+   * @returns {DiamondReading[]}
+   */
+  _diamondReadings(shot) {
+    const spacing = this.profile.diamondSpacing;
+    if (!spacing) return [];
+
+    return shot.bankPoints.map((bankPoint, k) => {
+      const rail = shot.railsUsed[k];
+      // Cue-ball rebounds come first; the object ball's follow the ghost-ball gap
+      const [from] = shot.pathSegments[k < shot.cueLegs - 1 ? k : k + 1];
+      const along = rail === RAIL.LEFT || rail === RAIL.RIGHT ? 1 : 0;
+      const origin = along === 0 ? this.rails.left : this.rails.bottom;
+      return {
+        rail,
+        contact: (shot.cushionPoints[k][along] - origin) / spacing,
+        aim: this._sight(from, bankPoint, rail),
+      };
+    });
+  }
+
+  /**
+   * Where the line through `from` and `to` crosses `rail`'s diamond line, in
+   * diamonds from the bottom/left corner.
+   */
+  _sight(from, to, rail) {
+    const fixed = rail === RAIL.LEFT || rail === RAIL.RIGHT ? 0 : 1;
+    const along = 1 - fixed;
+    const origin = along === 0 ? this.rails.left : this.rails.bottom;
+    const den = to[fixed] - from[fixed];
+    const t = Math.abs(den) < 1e-9 ? 1 : (this._diamondLine(rail) - from[fixed]) / den;
+    return (from[along] + t * (to[along] - from[along]) - origin) / this.profile.diamondSpacing;
+  }
+
+  /**
+   * Corner-five numbers for a kick whose cue ball goes long rail, short rail,
+   * then the other long rail: first- and third-rail sights counted in diamonds
+   * from the short-rail end, and the cue number C that the system's C − F = T
+   * pairs them with.
+   * @returns {{cue: number, first: number, third: number}|null}
+   */
+  _cornerFive(shot) {
+    if (shot.cueLegs < 4 || shot.diamonds.length < 3) return null;
+    const [r1, r2, r3] = shot.railsUsed;
+    const isLong = r => r === RAIL.LEFT || r === RAIL.RIGHT;
+    if (!isLong(r1) || isLong(r2) || !isLong(r3) || r1 === r3) return null;
+
+    const longDiamonds = (this.rails.top - this.rails.bottom) / this.profile.diamondSpacing;
+    const fromEnd = d => (r2 === RAIL.TOP ? longDiamonds - d : d);
+    const first = fromEnd(shot.diamonds[0].aim);
+    const third = fromEnd(shot.diamonds[2].aim);
+    return { cue: first + third, first, third };
+  }
+
+  /**
+   * Plus-system numbers for a two-rail kick, long rail then short rail: the
+   * first-rail sight F, the cue number C where the cue ball's line runs back
+   * to the far long rail's diamonds, and the target T where it comes back
+   * across that rail after the short rail, all counted in diamonds from the
+   * short-rail end. The system aims at F = C + T; plus two is T = 2.
+   * @returns {{cue: number, first: number, target: number}|null}
+   */
+  _plusTwo(shot) {
+    if (shot.cueLegs !== 3 || shot.diamonds.length < 2) return null;
+    const [r1, r2] = shot.railsUsed;
+    const isLong = r => r === RAIL.LEFT || r === RAIL.RIGHT;
+    if (!isLong(r1) || isLong(r2)) return null;
+
+    const far = r1 === RAIL.LEFT ? RAIL.RIGHT : RAIL.LEFT;
+    const longDiamonds = (this.rails.top - this.rails.bottom) / this.profile.diamondSpacing;
+    const fromEnd = d => (r2 === RAIL.TOP ? longDiamonds - d : d);
+    const [cueStart, firstBank] = shot.pathSegments[0];
+    const [secondBank, ghost] = shot.pathSegments[2];
     return {
-      cuePos, objectPos, targetPocket: pocketPos,
-      aimPoint: aim, bankPoints: [bank1, bank2], railsUsed: [rail1, rail2],
-      totalDistance: totalDist,
+      cue: fromEnd(this._sight(firstBank, cueStart, far)),
+      first: fromEnd(shot.diamonds[0].aim),
+      target: fromEnd(this._sight(secondBank, ghost, far)),
+    };
+  }
+
+  /** Contact point on the cushion nose for a ball centered at `bankPoint`. */
+  _cushionPoint(bankPoint, rail) {
+    const [x, y] = bankPoint;
+    switch (rail) {
+      case RAIL.LEFT:   return [this.rails.left, y];
+      case RAIL.RIGHT:  return [this.rails.right, y];
+      case RAIL.BOTTOM: return [x, this.rails.bottom];
+      case RAIL.TOP:    return [x, this.rails.top];
+    }
+    return null;
+  }
+
+  /**
+   * Kick version of `shot`: the cue ball reaches the same ghost ball via `rails`,
+   * unfolded the same way as the object-ball banks.
+   */
+  _calcKick(shot, rails, spin = null) {
+    const { cuePos, objectPos, aimPoint: aim } = shot;
+    const kicks = this._solveBankPoints(cuePos, aim, rails, spin);
+    if (!kicks) return null;
+
+    // The cue ball has to arrive from behind the ghost ball (cut under 90°)
+    const last = kicks[kicks.length - 1];
+    const inX = aim[0] - last[0], inY = aim[1] - last[1];
+    if (inX * (objectPos[0] - aim[0]) + inY * (objectPos[1] - aim[1]) <= 0) return null;
+
+    const { segments: cueSegments, length: cueDist } = this._legs([cuePos, ...kicks, aim]);
+    const obSegments = shot.pathSegments.slice(shot.cueLegs);
+    const obDist = obSegments.reduce((d, [a, b]) => d + hypot(b[0] - a[0], b[1] - a[1]), 0);
+    const score = this._rateDifficulty(cueDist, obDist, rails.length + shot.railsUsed.length);
+
+    return this._finishShot({
+      ...shot,
+      type: SHOT_TYPE.KICK,
+      spin,
+      bankPoints: [...kicks, ...shot.bankPoints],
+      cushionPoints: [...kicks.map((kp, i) => this._cushionPoint(kp, rails[i])), ...shot.cushionPoints],
+      railsUsed: [...rails, ...shot.railsUsed],
+      cueLegs: cueSegments.length,
+      totalDistance: cueDist + obDist,
+      difficulty: this._scoreToDifficulty(score),
+      difficultyScore: score,
+      pathSegments: [...cueSegments, ...obSegments],
+    });
+  }
+
+  /**
+   * Carom routes cue → `before` rails → first ball → `after` rails → second
+   * ball. The ghost ball is swept round the first ball: for each spot the cue
+   * ball arrives off `before` (unfolded as a kick) and leaves along
+   * `_cueDeparture`, and the route works where that departure points at the
+   * second ball's image through `after`. Sign changes of the miss are
+   * bisected; every root is a route.
+   * @returns {ShotPath[]}
+   */
+  _solveCarom(cuePos, firstPos, secondPos, before, after, spin) {
+    const r2 = this.ballRadius * 2;
+    let image = secondPos;
+    for (let i = after.length - 1; i >= 0; i--) image = this._reflectPoint(image, after[i]);
+
+    // Signed miss of the departure against the unfolded line to the second ball, null where no route
+    const miss = (angle) => {
+      const ghost = [firstPos[0] - r2 * Math.cos(angle), firstPos[1] - r2 * Math.sin(angle)];
+      if (!this._onRail(ghost, RAIL.LEFT, 0) || !this._onRail(ghost, RAIL.BOTTOM, 0)) return null;
+      const banks = this._solveBankPoints(cuePos, ghost, before);
+      if (!banks) return null;
+      const from = banks.length ? banks[banks.length - 1] : cuePos;
+      const inLen = hypot(ghost[0] - from[0], ghost[1] - from[1]);
+      const d = [(ghost[0] - from[0]) / inLen, (ghost[1] - from[1]) / inLen];
+      // Cue ball has to arrive from behind the ghost ball
+      if (d[0] * Math.cos(angle) + d[1] * Math.sin(angle) <= Math.cos(this.maxCutAngle)) return null;
+      const [vx, vy] = this._cueDeparture(d, ghost, firstPos, spin);
+      const wx = image[0] - ghost[0], wy = image[1] - ghost[1];
+      if (vx * wx + vy * wy <= 0) return null;
+      return { value: (vx * wy - vy * wx) / (hypot(vx, vy) * hypot(wx, wy)), ghost, banks, d, v: [vx, vy] };
+    };
+
+    const routes = [];
+    const step = 2 * Math.PI / CAROM_SCAN_STEPS;
+    let prev = miss(0);
+    for (let k = 1; k <= CAROM_SCAN_STEPS; k++) {
+      const next = miss(k * step);
+      if (prev && next && Math.sign(prev.value) !== Math.sign(next.value)) {
+        let lo = (k - 1) * step, hi = k * step, mLo = prev, root = null;
+        for (let i = 0; i < CAROM_BISECTIONS; i++) {
+          const mid = (lo + hi) / 2;
+          root = miss(mid);
+          if (!root) break;
+          if (Math.sign(root.value) === Math.sign(mLo.value)) [lo, mLo] = [mid, root];
+          else hi = mid;
+        }
+        const shot = root && this._calcCarom(cuePos, firstPos, secondPos, before, after, spin, root);
+        if (shot) routes.push(shot);
+      }
+      prev = next;
+    }
+    return routes;
+  }
+
+  /** Carom ShotPath for a solved ghost ball, or null if the route off `after` misses a cushion. */
+  _calcCarom(cuePos, firstPos, secondPos, before, after, spin, { ghost, banks, d, v }) {
+    const r2 = this.ballRadius * 2;
+    const afterBanks = this._solveBankPoints(ghost, secondPos, after);
+    if (!afterBanks) return null;
+    const end = afterBanks.length ? afterBanks[afterBanks.length - 1] : ghost;
+    const lastLen = hypot(secondPos[0] - end[0], secondPos[1] - end[1]);
+    if (lastLen <= r2) return null;
+    // The cue ball's center stops a ball diameter short of the second ball's, on a full hit
+    const hit = [secondPos[0] - r2 * (secondPos[0] - end[0]) / lastLen, secondPos[1] - r2 * (secondPos[1] - end[1]) / lastLen];
+
+    const { segments: inLegs, length: inDist } = this._legs([cuePos, ...banks, ghost]);
+    const { segments: outLegs, length: outDist } = this._legs([ghost, ...afterBanks, hit]);
+    const rails = [...before, ...after];
+    const bankPoints = [...banks, ...afterBanks];
+
+    // v² bookkeeping as in _traceShot: rolling subtracts, cushions and the contact scale
+    const decel2 = 2 * ROLLING_RESISTANCE * GRAVITY;
+    const e2 = CUSHION_RESTITUTION * CUSHION_RESTITUTION;
+    const nominal = { gain: 1, loss: 0 };
+    const legs = [...inLegs, ...outLegs];
+    legs.forEach(([p, q], i) => {
+      const len = hypot(q[0] - p[0], q[1] - p[1]);
+      nominal.loss += decel2 * len;
+      let keep = 1;
+      if (i === inLegs.length - 1) {
+        keep = v[0] * v[0] + v[1] * v[1];
+      } else if (i < legs.length - 1) {
+        const rail = rails[i < inLegs.length ? i : i - 1];
+        const normal = (rail === RAIL.LEFT || rail === RAIL.RIGHT ? q[0] - p[0] : q[1] - p[1]) / len;
+        keep = 1 - (1 - e2) * normal * normal;
+      }
+      nominal.gain *= keep;
+      nominal.loss *= keep;
+    });
+
+    // Full hits leave the cue ball little pace for the cushions
+    if (nominal.gain <= 0 || nominal.loss / nominal.gain > MAX_CUE_SPEED ** 2) return null;
+    const pace = Math.min(MAX_CUE_SPEED, this._strokeSpeed(nominal)) / MAX_CUE_SPEED;
+    const score = Math.min(1.0,
+      this._rateDifficulty(inDist + outDist, 0, rails.length - CAROM_MIN_CUSHIONS) + CAROM_SPEED_WEIGHT * pace);
+    const shot = {
+      type: SHOT_TYPE.CAROM, cuePos, objectPos: firstPos, targetPocket: null, pocketName: null,
+      pocketWindow: null, angularTolerance: Math.atan(r2 / lastLen),
+      aimPoint: ghost, bankPoints, cushionPoints: bankPoints.map((bp, i) => this._cushionPoint(bp, rails[i])),
+      railsUsed: rails, cueLegs: inLegs.length, caromSpin: spin,
+      totalDistance: inDist + outDist,
       difficulty: this._scoreToDifficulty(score),
       difficultyScore: score,
-      pathSegments: [[cuePos, aim], [objectPos, bank1], [bank1, bank2], [bank2, pocketPos]],
+      pathSegments: legs,
+    };
+    if (!this._addContact(shot)) return null;
+    this._addSpeed(shot, nominal);
+    shot.diamonds = this._diamondReadings(shot);
+    shot.systems = {};
+    return shot;
+  }
+
+  /**
+   * Jump version of `shot`, whose cue leg is blocked: the cue ball flies a
+   * parabola over the blockers and comes down at least a ball diameter short
+   * of the ghost ball. While the cue ball is within a ball diameter of a
+   * blocker's center (in plan), its center must be high enough that the balls
+   * don't touch, with JUMP_CLEARANCE to spare; the parabola is concave, so
+   * checking the two ends of that stretch is enough. Of the landing spots
+   * between the last blocker and the ghost ball, the one needing the softest
+   * stroke within MAX_JUMP_ANGLE is kept.
+   */
+  _calcJump(shot, balls) {
+    const r = this.ballRadius;
+    const [cuePos, ghost] = shot.pathSegments[0];
+    const dist = hypot(ghost[0] - cuePos[0], ghost[1] - cuePos[1]);
+    const u = [(ghost[0] - cuePos[0]) / dist, (ghost[1] - cuePos[1]) / dist];
+
+    const spans = shot.blockedBy.map(({ ballIndex }) => {
+      const wx = balls[ballIndex].x - cuePos[0], wy = balls[ballIndex].y - cuePos[1];
+      const along = wx * u[0] + wy * u[1];
+      const off = Math.abs(wx * u[1] - wy * u[0]);
+      const half = Math.sqrt(Math.max(0, 4 * r * r - off * off));
+      return { near: along - half, far: along + half, rise: half + JUMP_CLEARANCE };
+    });
+    const lastFar = Math.max(...spans.map(s => s.far));
+    const longest = dist - 2 * r;
+    if (spans.some(s => s.near <= 0) || lastFar >= longest) return null;
+
+    // Height above the cloth at x along the flight is x·tan(launch)·(1 − x/landing)
+    let best = null;
+    for (let k = 1; k <= JUMP_LANDINGS; k++) {
+      const landing = lastFar + (longest - lastFar) * k / JUMP_LANDINGS;
+      let tanLaunch = 0;
+      for (const { near, far, rise } of spans) {
+        for (const x of [near, far]) tanLaunch = Math.max(tanLaunch, rise / (x * (1 - x / landing)));
+      }
+      const launchAngle = Math.atan(tanLaunch);
+      if (launchAngle > MAX_JUMP_ANGLE) continue;
+      const speed = Math.sqrt(GRAVITY * landing / Math.sin(2 * launchAngle));
+      if (speed <= MAX_CUE_SPEED && (!best || speed < best.speed)) best = { launchAngle, speed, landing };
+    }
+    if (!best) return null;
+
+    // Nearest the rising flank reaches `clearance` at the steepest launch, plus the stretch to the blocker
+    const clearance = Math.max(...spans.map(s => s.rise));
+    const steep = 4 * clearance / (best.landing * Math.tan(MAX_JUMP_ANGLE));
+    const minDistance = best.landing / 2 * (1 - Math.sqrt(Math.max(0, 1 - steep))) + clearance - JUMP_CLEARANCE;
+
+    return {
+      ...shot,
+      type: SHOT_TYPE.JUMP,
+      jump: { ...best, clearance, minDistance },
     };
   }
 
-  _reflectPoint(point, rail) {
+  /**
+   * Massé version of `shot`, whose cue leg is blocked: the cue ball swerves
+   * along a parabola from the cue ball to the ghost ball, as under a steady
+   * sideways pull from massé spin, bowed just enough to pass each blocker with
+   * MASSE_CLEARANCE to spare. The flatter of the two sides that stays on the
+   * table and clear of every other ball is kept.
+   */
+  _calcMasse(shot, balls, exclude) {
+    const r = this.ballRadius;
+    const [cuePos, ghost] = shot.pathSegments[0];
+    const dist = hypot(ghost[0] - cuePos[0], ghost[1] - cuePos[1]);
+    const u = [(ghost[0] - cuePos[0]) / dist, (ghost[1] - cuePos[1]) / dist];
+    const n = [-u[1], u[0]];
+
+    const blockers = shot.blockedBy.map(({ ballIndex }) => {
+      const wx = balls[ballIndex].x - cuePos[0], wy = balls[ballIndex].y - cuePos[1];
+      return { along: wx * u[0] + wy * u[1], off: wx * n[0] + wy * n[1] };
+    });
+    if (blockers.some(b => b.along <= 0 || b.along >= dist)) return null;
+
+    // Offset from the straight line at x along it is side·bend·x·(dist − x)
+    let best = null;
+    for (const side of [1, -1]) {
+      const bend = Math.max(...blockers.map(b => (2 * r + MASSE_CLEARANCE + side * b.off) / (b.along * (dist - b.along))));
+      if (Math.atan(bend * dist) > MAX_MASSE_ANGLE || (best && bend >= best.bend)) continue;
+
+      const curve = [];
+      for (let k = 0; k <= MASSE_STEPS; k++) {
+        const x = dist * k / MASSE_STEPS, y = side * bend * x * (dist - x);
+        curve.push([cuePos[0] + x * u[0] + y * n[0], cuePos[1] + x * u[1] + y * n[1]]);
+      }
+      // Ball centers stay between the rail lines
+      if (!curve.every(p => this._onRail(p, RAIL.LEFT, 0) && this._onRail(p, RAIL.BOTTOM, 0))) continue;
+      const { segments, length } = this._legs(curve);
+      if (this._findBlockers(segments, balls, exclude).length > 0) continue;
+      best = { side, bend, curve, length };
+    }
+    if (!best) return null;
+
+    const { side, bend, curve, length } = best;
+    // Arrival direction, the curve's tangent at the ghost ball
+    const slope = -side * bend * dist;
+    const norm = Math.sqrt(1 + slope * slope);
+    const arrive = [(u[0] + slope * n[0]) / norm, (u[1] + slope * n[1]) / norm];
+
+    const obDist = shot.totalDistance - dist;
+    const score = this._rateDifficulty(length, obDist, shot.railsUsed.length);
+    return this._finishShot({
+      ...shot,
+      type: SHOT_TYPE.MASSE,
+      masse: {
+        curve, side: side > 0 ? 'left' : 'right', bulge: bend * dist * dist / 4, launchAngle: Math.atan(bend * dist),
+        arrive, length,
+      },
+      totalDistance: length + obDist,
+      difficulty: this._scoreToDifficulty(score),
+      difficultyScore: score,
+    });
+  }
+
+  /**
+   * Cue leg `k` of `shot` as a straight line. A massé's curve counts as the
+   * straight leg it arrives along, the same length, so contact, throw, speed
+   * and the cue ball's route after contact read it like any other shot.
+   */
+  _cueLeg(shot, k) {
+    if (!shot.masse) return shot.pathSegments[k];
+    const { arrive, length } = shot.masse;
+    const ghost = shot.aimPoint;
+    return [[ghost[0] - length * arrive[0], ghost[1] - length * arrive[1]], ghost];
+  }
+
+  /** Mirror image of `point` across `rail`, set `factor` times as far past it. */
+  _reflectPoint(point, rail, factor = 1) {
     const [x, y] = point;
+    const line = this._railLine(rail);
     switch (rail) {
-      case RAIL.LEFT:   return [-x, y];
-      case RAIL.RIGHT:  return [2 * this.width - x, y];
-      case RAIL.BOTTOM: return [x, -y];
-      case RAIL.TOP:    return [x, 2 * this.length - y];
+      case RAIL.LEFT:
+      case RAIL.RIGHT:  return [line + factor * (line - x), y];
+      case RAIL.BOTTOM:
+      case RAIL.TOP:    return [x, line + factor * (line - y)];
     }
     return null;
   }
@@ -199,19 +2073,17 @@ export class BankShotCalculator {
     const dx = p2[0] - x1, dy = p2[1] - y1;
     let t;
 
+    const line = this._railLine(rail);
+
     switch (rail) {
       case RAIL.LEFT:
-        if (Math.abs(dx) < 1e-9) return null;
-        t = (RAIL_LEFT - x1) / dx; break;
       case RAIL.RIGHT:
         if (Math.abs(dx) < 1e-9) return null;
-        t = (RAIL_RIGHT - x1) / dx; break;
+        t = (line - x1) / dx; break;
       case RAIL.BOTTOM:
-        if (Math.abs(dy) < 1e-9) return null;
-        t = (RAIL_BOTTOM - y1) / dy; break;
       case RAIL.TOP:
         if (Math.abs(dy) < 1e-9) return null;
-        t = (RAIL_TOP - y1) / dy; break;
+        t = (line - y1) / dy; break;
       default: return null;
     }
 
@@ -221,17 +2093,186 @@ export class BankShotCalculator {
 
   _onTable(point) {
     const [x, y] = point;
-    const m = BALL_RADIUS;
-    return x >= RAIL_LEFT - m && x <= RAIL_RIGHT + m &&
-           y >= RAIL_BOTTOM - m && y <= RAIL_TOP + m;
+    const m = this.ballRadius;
+    return x >= this.rails.left - m && x <= this.rails.right + m &&
+           y >= this.rails.bottom - m && y <= this.rails.top + m;
   }
 
-  _onRail(point, rail, margin = 50.0) {
+  /** Is a ball-center bank point within the reach of the cushion along `rail`? */
+  _onRail(point, rail, margin = 1.0) {
     const [x, y] = point;
     if (rail === RAIL.LEFT || rail === RAIL.RIGHT) {
-      return y >= -margin && y <= this.length + margin;
+      return y >= this._railLine(RAIL.BOTTOM) - margin && y <= this._railLine(RAIL.TOP) + margin;
     }
-    return x >= -margin && x <= this.width + margin;
+    return x >= this._railLine(RAIL.LEFT) - margin && x <= this._railLine(RAIL.RIGHT) + margin;
+  }
+
+  /**
+   * With probability scoring, replace the heuristic difficulty of `shot` by its
+   * estimated make probability. Every shot sees the same seeded error samples,
+   * so the ranking is stable between solves.
+   */
+  _applyScoring(shot) {
+    if (this.scoring !== 'probability') return;
+    const { probability, confidence } = this._estimateMakeProbability(shot);
+    shot.makeProbability = probability;
+    shot.probabilityConfidence = confidence;
+    shot.difficultyScore = 1 - probability;
+    shot.difficulty = this._scoreToDifficulty(shot.difficultyScore);
+  }
+
+  /**
+   * Monte Carlo make probability: the cue-ball direction and stroke speed are
+   * perturbed with the shooter's error, the balls are traced geometrically
+   * (ghost-ball contact, mirror rebounds) and a sample counts when the pocketed
+   * ball crosses the pocket window with speed to spare.
+   * @returns {{probability: number, confidence: number}} confidence is the
+   *   half-width of the 95% Wilson interval
+   */
+  _estimateMakeProbability(shot) {
+    const nominal = this._traceShot(shot, 0);
+    if (!nominal || nominal.gain <= 0) return { probability: 0, confidence: 0 };
+    const speed = this._strokeSpeed(nominal);
+
+    const rand = mulberry32(this.seed);
+    const n = this.samples;
+    let made = 0;
+    for (let i = 0; i < n; i++) {
+      const trace = this._traceShot(shot, gaussian(rand) * this.aimSigma);
+      const v = speed * (1 + gaussian(rand) * this.speedSigma);
+      if (trace && trace.gain * v * v > trace.loss) made++;
+    }
+
+    const p = made / n;
+    const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+    const confidence = CONFIDENCE_Z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n)) / (1 + z2 / n);
+    return { probability: p, confidence };
+  }
+
+  /** Intended stroke speed (mm/s) for a nominal trace of a shot. */
+  _strokeSpeed(nominal) {
+    return Math.min(MAX_CUE_SPEED, PACE_MARGIN * Math.sqrt(nominal.loss / nominal.gain));
+  }
+
+  /**
+   * Trace `shot` with the cue ball sent `aimError` radians off its line. Speed
+   * is bookkept as v² at the pocket = gain·v₀² − loss, so one trace serves every
+   * stroke speed: rolling legs subtract, cushions and cuts scale.
+   * @returns {{gain: number, loss: number, contact: {gain: number, loss: number}}|null}
+   *   `contact` is the cue ball's v² bookkeeping as it reaches the first ball; null
+   *   when a ball misses its contact or cushion, or the pocketed ball misses the window
+   */
+  _traceShot(shot, aimError) {
+    let [from, to] = this._cueLeg(shot, 0);
+    // A cue ball frozen to the ball it strikes is stroked through that ball's center
+    if (hypot(to[0] - from[0], to[1] - from[1]) <= FROZEN_GAP) [to] = shot.pathSegments[shot.cueLegs];
+    const len = hypot(to[0] - from[0], to[1] - from[1]);
+    const cos = Math.cos(aimError), sin = Math.sin(aimError);
+    const ux = (to[0] - from[0]) / len, uy = (to[1] - from[1]) / len;
+
+    const ray = { p: from, d: [ux * cos - uy * sin, ux * sin + uy * cos], gain: 1, loss: 0 };
+    let contact = null;
+    const decel2 = 2 * ROLLING_RESISTANCE * GRAVITY;
+    const cueRails = shot.railsUsed.slice(0, shot.cueLegs - 1);
+    const objectRails = shot.railsUsed.slice(shot.cueLegs - 1);
+    const chain = shot.type === SHOT_TYPE.COMBO
+      ? shot.pathSegments.slice(1).map(([start]) => start)
+      : [shot.objectPos];
+
+    if (!this._traceRails(ray, cueRails, decel2, shot.spin)) return null;
+
+    // Ghost-ball contact on each ball in turn; the struck ball leaves along the line of centers
+    for (const ball of chain) {
+      const wx = ball[0] - ray.p[0], wy = ball[1] - ray.p[1];
+      const b = wx * ray.d[0] + wy * ray.d[1];
+      const disc = b * b - (wx * wx + wy * wy - 4 * this.ballRadius * this.ballRadius);
+      if (disc < 0) return null;
+      // Frozen balls may start already touching
+      const t = Math.max(0, b - Math.sqrt(disc));
+      if (b - Math.sqrt(disc) < -FROZEN_GAP) return null;
+      const gx = ray.p[0] + t * ray.d[0], gy = ray.p[1] + t * ray.d[1];
+      const d = [(ball[0] - gx) / (2 * this.ballRadius), (ball[1] - gy) / (2 * this.ballRadius)];
+      const cosCut = d[0] * ray.d[0] + d[1] * ray.d[1];
+      contact ??= { gain: ray.gain, loss: ray.loss + decel2 * t };
+      ray.loss = (ray.loss + decel2 * t) * cosCut * cosCut;
+      ray.gain *= cosCut * cosCut;
+      ray.p = ball;
+      ray.d = d;
+    }
+    // Rail-first: the cushion holds the object ball to the rail
+    if (shot.type === SHOT_TYPE.RAIL_FIRST) {
+      const [[ox, oy], [tx, ty]] = shot.pathSegments[shot.cueLegs];
+      const len = hypot(tx - ox, ty - oy);
+      ray.d = [(tx - ox) / len, (ty - oy) / len];
+    }
+
+    if (!this._traceRails(ray, objectRails, decel2, shot.spin, shot.cushionFactors)) return null;
+
+    // Last leg has to pass between the window edges
+    const [[ax, ay], [bx, by]] = shot.pocketWindow.edges;
+    const ex = bx - ax, ey = by - ay;
+    const denom = ray.d[0] * ey - ray.d[1] * ex;
+    if (Math.abs(denom) < 1e-12) return null;
+    const qx = ax - ray.p[0], qy = ay - ray.p[1];
+    const t = (qx * ey - qy * ex) / denom;
+    const u = (qx * ray.d[1] - qy * ray.d[0]) / denom;
+    const slack = shot.type === SHOT_TYPE.RAIL_FIRST ? FROZEN_GAP / hypot(ex, ey) : 0;
+    if (t < 0 || u < -slack || u > 1 + slack) return null;
+    return { gain: ray.gain, loss: ray.loss + decel2 * t, contact };
+  }
+
+  /**
+   * Advance `ray` off each of `rails` in order. The rail has to be the first one
+   * the ball reaches and the rebound has to land on its cushion; the normal
+   * speed keeps CUSHION_RESTITUTION while the direction mirrors as in the solver
+   * (bent by `factors`, if the shot was solved with a cushion response), or,
+   * with a spin, the rebound follows `_reboundWithSpin` like the solver's.
+   * @returns {boolean}
+   */
+  _traceRails(ray, rails, decel2, spin = null, factors = null) {
+    const e2 = CUSHION_RESTITUTION * CUSHION_RESTITUTION;
+    const spun = spin && this._spinRay(ray.p, ray.d, spin);
+    for (const [i, rail] of rails.entries()) {
+      const t = this._railDistance(ray.p, ray.d, rail);
+      if (!isFinite(t) || ALL_RAILS.some(r => this._railDistance(ray.p, ray.d, r) < t - 1e-6)) return false;
+      const hit = [ray.p[0] + t * ray.d[0], ray.p[1] + t * ray.d[1]];
+      if (!this._onRail(hit, rail)) return false;
+
+      if (spun) {
+        spun.p = ray.p;
+        spun.d = ray.d;
+        const arriving = Math.sqrt(Math.max(0, spun.speed * spun.speed - decel2 * t));
+        if (!this._reboundWithSpin(spun, rail, spin)) return false;
+        const keep = (spun.speed / arriving) ** 2;
+        ray.loss = (ray.loss + decel2 * t) * keep;
+        ray.gain *= keep;
+        ray.p = hit;
+        ray.d = spun.d;
+        continue;
+      }
+
+      const vertical = rail === RAIL.LEFT || rail === RAIL.RIGHT;
+      const normal = vertical ? ray.d[0] : ray.d[1];
+      const keep = 1 - (1 - e2) * normal * normal;
+      ray.loss = (ray.loss + decel2 * t) * keep;
+      ray.gain *= keep;
+      ray.p = hit;
+      const k = factors?.[i] ?? 1;
+      const d = vertical ? [-ray.d[0], ray.d[1] * k] : [ray.d[0] * k, -ray.d[1]];
+      const len = hypot(d[0], d[1]);
+      ray.d = [d[0] / len, d[1] / len];
+    }
+    return true;
+  }
+
+  /** Distance along unit direction `d` from `p` to the center line of `rail`, or Infinity. */
+  _railDistance(p, d, rail) {
+    const line = this._railLine(rail);
+    const vertical = rail === RAIL.LEFT || rail === RAIL.RIGHT;
+    const delta = vertical ? d[0] : d[1];
+    if (Math.abs(delta) < 1e-12) return Infinity;
+    const t = (line - (vertical ? p[0] : p[1])) / delta;
+    return t > 1e-9 ? t : Infinity;
   }
 
   _rateDifficulty(cueDist, obDist, numBanks) {
@@ -1,6 +1,10 @@
 /**
  * Standard pool table dimensions and constants.
  * All measurements in millimeters.
+ *
+ * The constants below describe the default 8ft table. Other tables are
+ * described by a TableProfile (see TABLE_PROFILES), which the calculator,
+ * detector, renderer and simulator take in place of the constants.
  */
 
 // 8-foot table playing surface
@@ -25,35 +29,400 @@ export const POCKETS = {
   top_right:    [TABLE_WIDTH, TABLE_LENGTH],
 };
 
+// Pocket geometry. `facing` is the direction from the pocket into the table (degrees),
+// `jawAngle` the mouth angle between cushion nose and jaw face, and `shelfDepth` the
+// distance from the mouth back to the throat where the ball drops.
+export const CORNER_JAW_ANGLE = 142;
+export const SIDE_JAW_ANGLE = 104;
+export const CORNER_SHELF_DEPTH = 15.0;
+export const SIDE_SHELF_DEPTH = 20.0;
+
+const corner = (facing) => ({
+  type: 'corner', opening: CORNER_POCKET_OPENING, facing,
+  jawAngle: CORNER_JAW_ANGLE, shelfDepth: CORNER_SHELF_DEPTH,
+});
+const side = (facing) => ({
+  type: 'side', opening: SIDE_POCKET_OPENING, facing,
+  jawAngle: SIDE_JAW_ANGLE, shelfDepth: SIDE_SHELF_DEPTH,
+});
+
+export const POCKET_SPECS = {
+  bottom_left:  corner(45),
+  bottom_right: corner(135),
+  side_left:    side(0),
+  side_right:   side(180),
+  top_left:     corner(-45),
+  top_right:    corner(-135),
+};
+
+/**
+ * Mouth of a pocket: the point midway between its jaw points and the unit
+ * vector it faces into the table. Corner mouths sit half an opening in front
+ * of the rail intersection; side mouths are on the rail line.
+ * @param {string} name
+ * @param {TableProfile} [profile=DEFAULT_PROFILE]
+ * @returns {{mouth: number[], facing: number[]}}
+ */
+export function pocketMouth(name, profile = DEFAULT_PROFILE) {
+  const spec = profile.pocketSpecs[name];
+  const [px, py] = profile.pockets[name];
+  const a = spec.facing * Math.PI / 180;
+  const facing = [Math.cos(a), Math.sin(a)];
+  const offset = spec.type === 'corner' ? spec.opening / 2 : 0;
+  return { mouth: [px + facing[0] * offset, py + facing[1] * offset], facing };
+}
+
 // Rail boundaries (inner edges)
 export const RAIL_LEFT = 0.0;
 export const RAIL_RIGHT = TABLE_WIDTH;
 export const RAIL_BOTTOM = 0.0;
 export const RAIL_TOP = TABLE_LENGTH;
 
-// Ball colors with HSV ranges broadened for real-world lighting
+// Cushion nose height above the cloth, about 63.5% of the ball diameter
+export const CUSHION_HEIGHT = 36.5;
+
+// Snooker pockets have rounded jaws rather than straight-cut faces: nothing funnels
+// the ball in (no flare off the rail), and the fall sits deeper behind the mouth, so
+// balls that come in at an angle catch the far jaw
+export const SNOOKER_CORNER_JAW_ANGLE = 135;
+export const SNOOKER_SIDE_JAW_ANGLE = 90;
+export const SNOOKER_CORNER_SHELF_DEPTH = 30.0;
+export const SNOOKER_SIDE_SHELF_DEPTH = 35.0;
+
+// Snooker markings on the full-size 3569mm table, scaled with the length on smaller
+// ones: baulk line from the bottom (baulk) cushion, radius of the D, and the black
+// spot's distance from the top cushion
+export const SNOOKER_LENGTH = 3569;
+export const SNOOKER_BAULK_LINE = 737;
+export const SNOOKER_D_RADIUS = 292;
+export const SNOOKER_BLACK_SPOT = 324;
+
+// Rail diamonds: one every eighth of the length (a quarter of the width), set
+// into the rail cap this far behind the cushion nose
+export const DIAMOND_SETBACK = 93.7;  // ~3 11/16 inches
+
+/**
+ * @typedef {Object} TableProfile
+ * @property {string} name - key in TABLE_PROFILES, or 'custom'
+ * @property {string} label
+ * @property {number} width - playing surface between cushion noses, short rail (x)
+ * @property {number} length - playing surface, long rail (y)
+ * @property {number} ballDiameter
+ * @property {number} ballRadius
+ * @property {number} cornerPocketOpening
+ * @property {number} sidePocketOpening
+ * @property {Object<string, number[]>} pockets - pocket positions, as POCKETS; empty on carom tables
+ * @property {Object<string, Object>} pocketSpecs - pocket geometry, as POCKET_SPECS
+ * @property {boolean} pocketless - carom table: no pockets, shots are solved as caroms
+ * @property {Object<string, number[]>|null} spots - snooker colour spots by colour, null
+ *   on other tables
+ * @property {number|null} baulkLine - snooker: baulk line's distance from the bottom cushion
+ * @property {number|null} dRadius - snooker: radius of the D, centered on the baulk line
+ * @property {{left: number, right: number, bottom: number, top: number}} rails - cushion noses
+ * @property {number|null} diamondSpacing - distance between rail diamonds, null without diamonds
+ * @property {number} diamondSetback - distance from the cushion nose back to the diamonds
+ * @property {number} cushionHeight - cushion nose height above the cloth
+ */
+
+/**
+ * Build a TableProfile from its measurements. Pockets, pocket geometry and
+ * rails are derived the same way as the 8ft constants above.
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} [params.label]
+ * @param {number} params.width
+ * @param {number} params.length
+ * @param {number} [params.ballDiameter=BALL_DIAMETER]
+ * @param {number} [params.cornerPocketOpening=CORNER_POCKET_OPENING]
+ * @param {number} [params.sidePocketOpening=SIDE_POCKET_OPENING]
+ * @param {number} [params.cornerJawAngle=CORNER_JAW_ANGLE]
+ * @param {number} [params.sideJawAngle=SIDE_JAW_ANGLE]
+ * @param {number} [params.cornerShelfDepth=CORNER_SHELF_DEPTH]
+ * @param {number} [params.sideShelfDepth=SIDE_SHELF_DEPTH]
+ * @param {number|null} [params.diamondSpacing] - defaults to an eighth of the length
+ * @param {number} [params.diamondSetback=DIAMOND_SETBACK]
+ * @param {number} [params.cushionHeight=CUSHION_HEIGHT]
+ * @param {boolean} [params.pocketless=false] - carom table, no pockets
+ * @param {boolean} [params.snooker=false] - mark out baulk line, D and colour spots
+ * @returns {TableProfile}
+ */
+export function createTableProfile({
+  name, label = name, width, length,
+  ballDiameter = BALL_DIAMETER,
+  cornerPocketOpening = CORNER_POCKET_OPENING,
+  sidePocketOpening = SIDE_POCKET_OPENING,
+  cornerJawAngle = CORNER_JAW_ANGLE,
+  sideJawAngle = SIDE_JAW_ANGLE,
+  cornerShelfDepth = CORNER_SHELF_DEPTH,
+  sideShelfDepth = SIDE_SHELF_DEPTH,
+  diamondSpacing = length / 8,
+  diamondSetback = DIAMOND_SETBACK,
+  cushionHeight = CUSHION_HEIGHT,
+  pocketless = false,
+  snooker = false,
+}) {
+  const cornerAt = (facing) => ({
+    ...corner(facing), opening: cornerPocketOpening, jawAngle: cornerJawAngle, shelfDepth: cornerShelfDepth,
+  });
+  const sideAt = (facing) => ({
+    ...side(facing), opening: sidePocketOpening, jawAngle: sideJawAngle, shelfDepth: sideShelfDepth,
+  });
+  const markings = snooker ? snookerMarkings(width, length) : { spots: null, baulkLine: null, dRadius: null };
+  return {
+    name, label, width, length,
+    ballDiameter,
+    ballRadius: ballDiameter / 2,
+    cornerPocketOpening,
+    sidePocketOpening,
+    pocketless,
+    pockets: pocketless ? {} : {
+      bottom_left:  [0.0, 0.0],
+      bottom_right: [width, 0.0],
+      side_left:    [0.0, length / 2],
+      side_right:   [width, length / 2],
+      top_left:     [0.0, length],
+      top_right:    [width, length],
+    },
+    pocketSpecs: pocketless ? {} : {
+      bottom_left:  cornerAt(45),
+      bottom_right: cornerAt(135),
+      side_left:    sideAt(0),
+      side_right:   sideAt(180),
+      top_left:     cornerAt(-45),
+      top_right:    cornerAt(-135),
+    },
+    rails: { left: 0.0, right: width, bottom: 0.0, top: length },
+    diamondSpacing,
+    diamondSetback,
+    cushionHeight,
+    ...markings,
+  };
+}
+
+/**
+ * Baulk line, D and colour spots of a snooker table. Seen from the baulk end,
+ * yellow sits on the right corner of the D, green on the left and brown in
+ * the middle; blue is on the center spot, pink midway between it and the top
+ * cushion, black near the top cushion.
+ */
+function snookerMarkings(width, length) {
+  const scale = length / SNOOKER_LENGTH;
+  const baulkLine = SNOOKER_BAULK_LINE * scale;
+  const dRadius = SNOOKER_D_RADIUS * scale;
+  const mid = width / 2;
+  return {
+    baulkLine,
+    dRadius,
+    spots: {
+      yellow: [mid + dRadius, baulkLine],
+      green:  [mid - dRadius, baulkLine],
+      brown:  [mid, baulkLine],
+      blue:   [mid, length / 2],
+      pink:   [mid, length * 0.75],
+      black:  [mid, length - SNOOKER_BLACK_SPOT * scale],
+    },
+  };
+}
+
+// Built-in tables. Pool sizes are the playing surface of 7/8/9ft tables; the
+// snooker table is full size with 52.5mm balls, tighter rounded pockets and its
+// markings; the carom table is a match table with 61.5mm balls and no pockets.
+export const TABLE_PROFILES = {
+  '7ft': createTableProfile({ name: '7ft', label: '7ft bar table', width: 991, length: 1981 }),
+  '8ft': createTableProfile({ name: '8ft', label: '8ft table', width: TABLE_WIDTH, length: TABLE_LENGTH }),
+  '9ft': createTableProfile({ name: '9ft', label: '9ft table', width: 1270, length: 2540 }),
+  snooker: createTableProfile({
+    name: 'snooker', label: 'Snooker', width: 1778, length: SNOOKER_LENGTH,
+    ballDiameter: 52.5, cornerPocketOpening: 86, sidePocketOpening: 105,
+    cornerJawAngle: SNOOKER_CORNER_JAW_ANGLE, sideJawAngle: SNOOKER_SIDE_JAW_ANGLE,
+    cornerShelfDepth: SNOOKER_CORNER_SHELF_DEPTH, sideShelfDepth: SNOOKER_SIDE_SHELF_DEPTH,
+    diamondSpacing: null, snooker: true,
+  }),
+  carom: createTableProfile({
+    name: 'carom', label: 'Carom (match)', width: 1420, length: 2840,
+    ballDiameter: 61.5, pocketless: true,
+  }),
+};
+
+export const DEFAULT_PROFILE = TABLE_PROFILES['8ft'];
+
+const PROFILE_STORAGE_KEY = 'bankshot.tableProfile';
+const CUSTOM_PROFILE_STORAGE_KEY = 'bankshot.customTableProfile';
+const BANK_RECORDINGS_STORAGE_KEY = 'bankshot.bankRecordings';
+
+// localStorage can be missing or throw (private browsing), so reads fall back and writes are best-effort
+function readStorage(key) {
+  try {
+    return globalThis.localStorage?.getItem(key) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    globalThis.localStorage?.setItem(key, value);
+  } catch (e) {
+    console.warn('[TableConfig] Could not save', key, e);
+  }
+}
+
+/**
+ * The user's custom table, if one has been saved.
+ * @returns {TableProfile|null}
+ */
+export function loadCustomProfile() {
+  const saved = readStorage(CUSTOM_PROFILE_STORAGE_KEY);
+  if (!saved) return null;
+  try {
+    return createTableProfile({ label: 'Custom', ...JSON.parse(saved), name: 'custom' });
+  } catch (e) {
+    console.warn('[TableConfig] Ignoring unreadable custom profile', e);
+    return null;
+  }
+}
+
+/**
+ * Save a custom table's measurements (see createTableProfile) and return its profile.
+ * @returns {TableProfile}
+ */
+export function saveCustomProfile(params) {
+  const profile = createTableProfile({ label: 'Custom', ...params, name: 'custom' });
+  writeStorage(CUSTOM_PROFILE_STORAGE_KEY, JSON.stringify({ ...params, name: 'custom' }));
+  return profile;
+}
+
+/**
+ * Profile by name: a preset, 'custom' for the saved custom table, otherwise the default.
+ * @returns {TableProfile}
+ */
+export function getTableProfile(name) {
+  if (name === 'custom') return loadCustomProfile() || DEFAULT_PROFILE;
+  return TABLE_PROFILES[name] || DEFAULT_PROFILE;
+}
+
+/** Profile the user last picked. */
+export function loadSelectedProfile() {
+  return getTableProfile(readStorage(PROFILE_STORAGE_KEY));
+}
+
+export function saveSelectedProfile(name) {
+  writeStorage(PROFILE_STORAGE_KEY, name);
+}
+
+/**
+ * Banks the user recorded on a table, for calibrating its cushion response.
+ * @param {string} profileName
+ * @returns {Array<{speed: number, factor: number}>} ball speed at the cushion
+ *   (mm/s) and the measured rebound factor
+ */
+export function loadBankRecordings(profileName) {
+  try {
+    const saved = JSON.parse(readStorage(BANK_RECORDINGS_STORAGE_KEY) || '{}');
+    return Array.isArray(saved[profileName]) ? saved[profileName] : [];
+  } catch (e) {
+    console.warn('[TableConfig] Ignoring unreadable bank recordings', e);
+    return [];
+  }
+}
+
+/** Replace a table's bank recordings; an empty list clears its calibration. */
+export function saveBankRecordings(profileName, recordings) {
+  let saved = {};
+  try {
+    saved = JSON.parse(readStorage(BANK_RECORDINGS_STORAGE_KEY) || '{}');
+  } catch {
+    // Start over rather than keep a corrupt entry
+  }
+  saved[profileName] = recordings;
+  writeStorage(BANK_RECORDINGS_STORAGE_KEY, JSON.stringify(saved));
+}
+
+// Ball, cloth and cushion physics — lengths in mm, time in seconds
+export const GRAVITY = 9810.0;
+export const SLIDING_FRICTION = 0.2;      // ball-cloth while the ball skids
+export const ROLLING_RESISTANCE = 0.01;   // ball-cloth once the ball rolls
+export const CUSHION_RESTITUTION = 0.75;  // normal speed kept off a cushion
+export const CUSHION_FRICTION = 0.2;      // ball-cushion, slows the speed along the rail
+export const BALL_RESTITUTION = 0.95;     // ball-ball
+// Ball-ball friction falls with the sliding speed v (m/s) at contact:
+// μ = a + b·e^(−c·v), fitted to measured cut-shot throw
+export const BALL_FRICTION = { a: 9.951e-3, b: 0.108, c: 1.088 };
+
+// Bank rebounds against speed: tan(rebound) = factor · tan(mirror rebound), by
+// the ball's speed (mm/s) reaching the cushion, interpolated between points and
+// held beyond the ends. Soft banks run a little long; hard ones go short as the
+// cushion compresses.
+export const DEFAULT_CUSHION_RESPONSE = [
+  { speed: 500, factor: 1.05 },
+  { speed: 2000, factor: 1.0 },
+  { speed: 5000, factor: 0.9 },
+];
+
+// Ball colors with HSV ranges broadened for real-world lighting. `number` is the
+// pool ball number (null for snooker-only colours), `value` the snooker points
+// (absent for pool-only colours)
 export const BALL_COLORS = {
-  white:  { number: 0,  hsvLow: [0, 0, 170],     hsvHigh: [180, 55, 255],   hex: '#ffffff', rgb: [255, 255, 255] },
-  yellow: { number: 1,  hsvLow: [15, 80, 80],     hsvHigh: [40, 255, 255],   hex: '#ffd700', rgb: [255, 215, 0] },
-  blue:   { number: 2,  hsvLow: [90, 60, 40],     hsvHigh: [135, 255, 255],  hex: '#0000c8', rgb: [0, 0, 200] },
-  red:    { number: 3,  hsvLow: [0, 80, 70],      hsvHigh: [10, 255, 255],   hex: '#c80000', rgb: [200, 0, 0] },
-  red2:   { number: 3,  hsvLow: [170, 80, 70],    hsvHigh: [180, 255, 255],  hex: '#c80000', rgb: [200, 0, 0] },
-  purple: { number: 4,  hsvLow: [125, 30, 30],    hsvHigh: [165, 255, 255],  hex: '#800080', rgb: [128, 0, 128] },
-  orange: { number: 5,  hsvLow: [8, 80, 80],      hsvHigh: [22, 255, 255],   hex: '#ff8c00', rgb: [255, 140, 0] },
-  green:  { number: 6,  hsvLow: [35, 60, 40],     hsvHigh: [80, 255, 255],   hex: '#008000', rgb: [0, 128, 0] },
-  maroon: { number: 7,  hsvLow: [0, 40, 20],      hsvHigh: [12, 220, 120],   hex: '#800000', rgb: [128, 0, 0] },
-  black:  { number: 8,  hsvLow: [0, 0, 0],        hsvHigh: [180, 120, 60],   hex: '#000000', rgb: [0, 0, 0] },
+  white:  { number: 0,  value: 0, hsvLow: [0, 0, 170],   hsvHigh: [180, 55, 255],  hex: '#ffffff', rgb: [255, 255, 255] },
+  yellow: { number: 1,  value: 2, hsvLow: [15, 80, 80],   hsvHigh: [40, 255, 255],  hex: '#ffd700', rgb: [255, 215, 0] },
+  blue:   { number: 2,  value: 5, hsvLow: [90, 60, 40],   hsvHigh: [135, 255, 255], hex: '#0000c8', rgb: [0, 0, 200] },
+  red:    { number: 3,  value: 1, hsvLow: [0, 80, 70],    hsvHigh: [10, 255, 255],  hex: '#c80000', rgb: [200, 0, 0] },
+  red2:   { number: 3,  value: 1, hsvLow: [170, 80, 70],  hsvHigh: [180, 255, 255], hex: '#c80000', rgb: [200, 0, 0] },
+  purple: { number: 4,            hsvLow: [125, 30, 30],  hsvHigh: [165, 255, 255], hex: '#800080', rgb: [128, 0, 128] },
+  orange: { number: 5,            hsvLow: [8, 80, 80],    hsvHigh: [22, 255, 255],  hex: '#ff8c00', rgb: [255, 140, 0] },
+  green:  { number: 6,  value: 3, hsvLow: [35, 60, 40],   hsvHigh: [80, 255, 255],  hex: '#008000', rgb: [0, 128, 0] },
+  maroon: { number: 7,            hsvLow: [0, 40, 20],    hsvHigh: [12, 220, 120],  hex: '#800000', rgb: [128, 0, 0] },
+  black:  { number: 8,  value: 7, hsvLow: [0, 0, 0],      hsvHigh: [180, 120, 60],  hex: '#000000', rgb: [0, 0, 0] },
+  brown:  { number: null, value: 4, hsvLow: [5, 80, 40],  hsvHigh: [22, 255, 150],  hex: '#7b4a12', rgb: [123, 74, 18] },
+  pink:   { number: null, value: 6, hsvLow: [150, 30, 150], hsvHigh: [175, 150, 255], hex: '#ff80b0', rgb: [255, 128, 176] },
 };
 
-// Synthetic ball rack for testing
-export function createSyntheticBalls() {
+/**
+ * The BALL_COLORS a table's balls come in: the snooker set on a snooker table,
+ * the pool set otherwise.
+ * @param {TableProfile} profile
+ * @returns {Array<[string, Object]>} [color name, BALL_COLORS entry] pairs
+ */
+export function ballPalette(profile) {
+  return Object.entries(BALL_COLORS).filter(([, info]) =>
+    profile.spots ? info.value !== undefined : info.number !== null);
+}
+
+// Synthetic ball rack for testing; a carom table gets the three-ball break position
+// and a snooker table a full frame: colours on their spots, fifteen reds behind the pink
+export function createSyntheticBalls(profile = DEFAULT_PROFILE) {
+  if (profile.spots) {
+    const d = profile.ballDiameter;
+    const ball = (x, y, color) => ({ x, y, color, number: BALL_COLORS[color].value, isStriped: false });
+    const balls = [ball(profile.width / 2 - profile.dRadius / 2, profile.baulkLine - profile.dRadius / 2, 'white')];
+    for (const [color, [x, y]] of Object.entries(profile.spots)) balls.push(ball(x, y, color));
+    // Apex red just off the pink, rows packed tight behind it
+    const apex = profile.spots.pink[1] + d * 1.05;
+    for (let row = 0; row < 5; row++) {
+      for (let k = 0; k <= row; k++) {
+        balls.push(ball(profile.width / 2 + (k - row / 2) * d, apex + row * d * 0.866, 'red'));
+      }
+    }
+    return balls;
+  }
+
+  if (profile.pocketless) {
+    const spot = (x, y, color, number) => ({ x, y, color, number, isStriped: false });
+    return [
+      spot(profile.width / 2 + profile.width / 8, profile.length * 0.25, 'white', 0),
+      spot(profile.width / 2, profile.length * 0.25, 'yellow', 1),
+      spot(profile.width / 2, profile.length * 0.75, 'red', 3),
+    ];
+  }
+
   const balls = [];
-  const rowSpacing = BALL_DIAMETER * 0.866; // sqrt(3)/2
-  const footX = TABLE_WIDTH / 2;
-  const footY = TABLE_LENGTH * 0.75;
+  const d = profile.ballDiameter;
+  const rowSpacing = d * 0.866; // sqrt(3)/2
+  const footX = profile.width / 2;
+  const footY = profile.length * 0.75;
 
   // Cue ball
-  balls.push({ x: TABLE_WIDTH / 2, y: TABLE_LENGTH * 0.25, color: 'white', number: 0, isStriped: false });
+  balls.push({ x: profile.width / 2, y: profile.length * 0.25, color: 'white', number: 0, isStriped: false });
 
   const rack = [
     [0, 0, 'yellow', 1, false],
@@ -75,7 +444,7 @@ export function createSyntheticBalls() {
 
   for (const [col, row, color, num, striped] of rack) {
     balls.push({
-      x: footX + col * BALL_DIAMETER,
+      x: footX + col * d,
       y: footY + row * rowSpacing,
       color,
       number: num,
@@ -9,8 +9,13 @@ import { Camera } from './camera.js?v=1771969564';
 import { BallDetector, loadOpenCV, isOpenCVReady, detectTable } from './detection.js?v=1771969564';
 import { loadTableDetector, isDetectorReady, detectTableRegion, refineTableWithCV } from './table-detector.js?v=1771969564';
 import { Renderer } from './renderer.js?v=1771969564';
-import { BankShotCalculator } from './physics.js?v=1771969564';
-import { createSyntheticBalls, TABLE_WIDTH, TABLE_LENGTH, BALL_DIAMETER, POCKETS } from './table-config.js?v=1771969564';
+import { ENGLISH, SHOT_TYPE, FROZEN_RULE, fitCushionResponse } from './physics.js?v=1771969564';
+import { PhysicsWorkerClient } from './physics-client.js?v=1771969564';
+import { snookerBallsOn } from './snooker-rules.js?v=1771969564';
+import {
+  createSyntheticBalls, TABLE_PROFILES, getTableProfile, loadSelectedProfile, saveSelectedProfile,
+  loadCustomProfile, saveCustomProfile, loadBankRecordings, saveBankRecordings
+} from './table-config.js?v=1771969564';
 
 const STATE = {
   LOADING:         'loading',
@@ -20,8 +25,38 @@ const STATE = {
   CUE_SELECTED:    'cue_selected',
   TARGET_SELECTED: 'target_selected',
   SHOWING_SHOT:    'showing_shot',
+  RECORDING_BANK:  'recording_bank',
 };
 
+// Deepest object-ball bank the app asks the calculator for
+const MAX_BANKS = 3;
+
+// English choices the toolbar cycles through (null = ideal mirror rebounds),
+// and the pace the banking ball is assumed to leave at (mm/s)
+const ENGLISH_CYCLE = [null, ENGLISH.RUNNING, ENGLISH.REVERSE, ENGLISH.LEFT, ENGLISH.RIGHT];
+const ENGLISH_SPEED = 3000;
+
+// Monte Carlo samples per shot for the worker-computed difficulty heatmap
+const HEATMAP_SAMPLES = 50;
+
+// Ball-in-hand modes the toolbar cycles through: fixed cue, anywhere, behind the head string
+// (in the D on a snooker table)
+const BALL_IN_HAND_CYCLE = ['off', 'table', 'kitchen'];
+
+// Shot-card hints for shots shaped by frozen balls
+const FROZEN_NOTES = {
+  [FROZEN_RULE.RAIL_FIRST]: 'Frozen to the rail — hit cushion and ball at the same time',
+  [FROZEN_RULE.DEAD_COMBO]: 'Frozen pair — dead combination, just drive the first ball into it',
+  [FROZEN_RULE.FROZEN_CUE]: 'Cue ball frozen to it — stroke through the line of centers',
+};
+
+// Measured bank rebound factors outside this range are taken for mis-taps
+const MIN_RECORDED_FACTOR = 0.5;
+const MAX_RECORDED_FACTOR = 2;
+
+// Tables the toolbar cycles through; 'custom' asks for measurements
+const PROFILE_CYCLE = [...Object.keys(TABLE_PROFILES), 'custom'];
+
 class App {
   constructor() {
     this.video = document.getElementById('camera-feed');
@@ -29,14 +64,19 @@ class App {
     this.overlay = document.getElementById('overlay');
     this.statusText = document.getElementById('status-text');
     this.toolbar = document.getElementById('toolbar');
+    this.shotCard = document.getElementById('shot-card');
     this.loadingOverlay = document.getElementById('loading-overlay');
     this.captureContainer = document.getElementById('capture-btn-container');
     this.captureBtn = document.getElementById('capture-btn');
 
     this.camera = new Camera(this.video);
-    this.renderer = new Renderer(this.overlay);
-    this.detector = new BallDetector();
-    this.calculator = new BankShotCalculator();
+    this.profile = loadSelectedProfile();
+    this.renderer = new Renderer(this.overlay, this.profile);
+    this.detector = new BallDetector(this.profile);
+    // Shot searches and the heatmap run in separate workers so either can be cancelled alone
+    this.physics = new PhysicsWorkerClient(this.profile, { scoring: 'probability' });
+    this.heatmapPhysics = new PhysicsWorkerClient(this.profile, { scoring: 'probability' });
+    this._applyCushionResponse();
 
     this.state = STATE.LOADING;
     this.tableCorners = null;
@@ -45,6 +85,14 @@ class App {
     this.selectedTarget = null;
     this.selectedPocket = null;
     this.shots = [];
+    this.blockedShots = [];
+    this.simulation = null;
+    this.english = null;
+    this.ballInHand = 'off';
+    this.redPotted = false;
+    this.placement = null;
+    this.heatmapOn = false;
+    this.heatmap = null;
     this._captureImageData = null;
     this._demoMode = false;
 
@@ -258,7 +306,7 @@ class App {
     if (!tableCorners && isOpenCVReady()) {
       console.log('[App] Falling back to OpenCV-only detection');
       try {
-        const tableResult = detectTable(this._captureImageData);
+        const tableResult = detectTable(this._captureImageData, this.profile);
         if (tableResult && tableResult.confidence >= 0.15) {
           tableCorners = tableResult.corners;
         }
@@ -280,10 +328,29 @@ class App {
     this.balls = [];
     console.log('[App] Table corners (BL,BR,TR,TL):', this.tableCorners);
 
+    // Warp to the table and find balls — the warp also gives the inverse matrix for the overlay
+    this._setStatus('Detecting balls...');
+    try {
+      this.balls = this.detector.detect(this._captureImageData, tableCorners);
+      this.renderer.setPhotoMode(
+        this.detector, tableCorners,
+        this._captureImageData.width, this._captureImageData.height,
+        this._photoDrawX, this._photoDrawY, this._photoDrawW, this._photoDrawH
+      );
+      console.log(`[App] ${this.balls.length} balls detected`);
+    } catch (e) {
+      console.error('[App] Ball detection error:', e);
+      this.balls = [];
+      this.renderer.clearPhotoMode();
+    }
+
+    this._cancelCalculations();
     this.selectedCue = null;
     this.selectedTarget = null;
     this.selectedPocket = null;
     this.shots = [];
+    this.blockedShots = [];
+    this.simulation = null;
     this._setState(STATE.READY);
   }
 
@@ -295,11 +362,16 @@ class App {
         this._onBallTap(x, y, 'cue');
         break;
       case STATE.CUE_SELECTED:
-        this._onBallTap(x, y, 'target');
+        // Carom: both other balls are object balls, so a tap re-picks the cue ball
+        this._onBallTap(x, y, this.profile.pocketless ? 'cue' : 'target');
         break;
       case STATE.TARGET_SELECTED:
       case STATE.SHOWING_SHOT:
-        this._onPocketTap(x, y);
+        if (this.profile.pocketless) this._onBallTap(x, y, 'cue');
+        else this._onPocketTap(x, y);
+        break;
+      case STATE.RECORDING_BANK:
+        this._recordBank(x, y);
         break;
     }
   }
@@ -314,12 +386,18 @@ class App {
       if (d < minDist) { minDist = d; closest = i; }
     });
 
-    if (closest < 0 || minDist > BALL_DIAMETER * 3) return;
+    if (closest < 0 || minDist > this.profile.ballDiameter * 3) return;
 
     if (type === 'cue') {
       this.selectedCue = closest;
       this._setState(STATE.CUE_SELECTED);
+      if (this.profile.pocketless) this._showShots();
     } else {
+      const legal = this._ballsOn();
+      if (legal && !legal.on.includes(closest)) {
+        this._setStatus(`${this.balls[closest].color} is not on — tap a ringed ball`);
+        return;
+      }
       this.selectedTarget = closest;
       this._setState(STATE.TARGET_SELECTED);
     }
@@ -327,32 +405,161 @@ class App {
 
   _onPocketTap(x, y) {
     let bestPocket = null, bestDist = Infinity;
-    for (const [name, pos] of Object.entries(POCKETS)) {
+    for (const [name, pos] of Object.entries(this.profile.pockets)) {
       const [px, py] = this.renderer.toCanvas(pos[0], pos[1]);
       const d = Math.hypot(px - x, py - y);
       if (d < bestDist) { bestDist = d; bestPocket = name; }
     }
 
-    const maxTapDist = Math.max(60, BALL_DIAMETER * this.renderer.scaleX * 3);
+    const maxTapDist = Math.max(60, this.profile.ballDiameter * this.renderer.scaleX * 3);
     if (!bestPocket || bestDist > maxTapDist) return;
 
     this.selectedPocket = bestPocket;
-    this._calculateShots();
-    this._setState(STATE.SHOWING_SHOT);
+    this._showShots();
   }
 
-  _calculateShots() {
-    if (this.selectedCue === null || this.selectedTarget === null || !this.selectedPocket) return;
+  /** Recalculate, then show the results unless a newer request superseded them. */
+  async _showShots() {
+    if (await this._calculateShots()) this._setState(STATE.SHOWING_SHOT);
+  }
 
-    const cue = this.balls[this.selectedCue];
-    const target = this.balls[this.selectedTarget];
+  /**
+   * Search for shots in the physics worker. Any search still running is
+   * cancelled first, so only the latest tap's results land.
+   * @returns {Promise<boolean>} false if there was nothing to solve or a newer request cancelled this one
+   */
+  async _calculateShots() {
+    this.physics.cancel();
+    if (this.profile.pocketless) return this._calculateCaroms();
+    if (this.selectedCue === null || this.selectedTarget === null || !this.selectedPocket) return false;
 
-    this.shots = this.calculator.findAllShots(
-      [cue.x, cue.y],
-      [target.x, target.y],
-      this.selectedPocket,
-      2
-    );
+    this.shots = [];
+    this.blockedShots = [];
+    this.simulation = null;
+    this.placement = null;
+    this._setStatus('Calculating shots...');
+
+    const spin = this.english ? { english: this.english, speed: ENGLISH_SPEED } : null;
+    const legal = this._ballsOn();
+    let shots, blocked, invalid;
+    try {
+      [{ shots, blocked, invalid }, this.placement] = await Promise.all([
+        this.physics.call('findLayoutShots', [
+          this.balls, this.selectedCue, this.selectedTarget, this.selectedPocket, MAX_BANKS, { spin, legal },
+        ]),
+        this.ballInHand === 'off' ? null : this.physics.call('findBallInHand', [
+          this.balls, this.selectedCue, this.selectedTarget, this.selectedPocket,
+          { kitchen: this.ballInHand === 'kitchen', maxBanks: 1, legal },
+        ]),
+      ]);
+      // Play the best suggestion through the simulator to check it really drops. The simulator
+      // only rolls balls along the cloth, so it can't play a jump or a massé
+      const simulable = shots.length > 0 && shots[0].type !== SHOT_TYPE.JUMP && shots[0].type !== SHOT_TYPE.MASSE;
+      this.simulation = simulable
+        ? await this.physics.call('verifyShot', [shots[0], {
+            balls: this.balls, cueIdx: this.selectedCue, objectIdx: this.selectedTarget,
+          }])
+        : null;
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        console.error('[App] Shot calculation failed:', e);
+        this._setStatus('Shot calculation failed');
+      }
+      return false;
+    }
+    this.shots = shots;
+    this.blockedShots = blocked;
+
+    if (this.placement) {
+      console.log(`[App] Ball in hand (${this.ballInHand}): ${this.placement.placements.length} placements`);
+    }
+
+    this._requestHeatmap();
+
+    for (const shot of blocked) {
+      const by = shot.blockedBy.map(b => this.balls[b.ballIndex].number).join(', ');
+      console.log(`[App] Rejected ${shot.railsUsed.length}-rail shot — blocked by ball(s) ${by}`);
+    }
+    for (const shot of invalid) {
+      console.log(`[App] Rejected ${shot.type} shot — ${shot.invalidReason}`);
+    }
+    return true;
+  }
+
+  /**
+   * Carom table: three-cushion routes for the selected cue ball off the other
+   * two balls, either one first.
+   * @returns {Promise<boolean>} as _calculateShots
+   */
+  async _calculateCaroms() {
+    const objects = this.balls.map((_, i) => i).filter(i => i !== this.selectedCue);
+    if (this.selectedCue === null || objects.length !== 2) {
+      this._setStatus(`Carom needs exactly three balls — ${this.balls.length} on the table`);
+      return false;
+    }
+
+    this.shots = [];
+    this.blockedShots = [];
+    this.simulation = null;
+    this.placement = null;
+    this._setStatus('Calculating caroms...');
+
+    try {
+      const { shots, blocked } = await this.physics.call('findCaromShots', [this.balls, this.selectedCue, objects]);
+      this.shots = shots;
+      this.blockedShots = blocked;
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        console.error('[App] Carom calculation failed:', e);
+        this._setStatus('Carom calculation failed');
+      }
+      return false;
+    }
+    console.log(`[App] Caroms: ${this.shots.length} routes, ${this.blockedShots.length} blocked`);
+    return true;
+  }
+
+  /**
+   * Ask the physics worker for the cue-position heatmap of the selected
+   * object ball and pocket. A newer request cancels an older one.
+   */
+  async _requestHeatmap() {
+    this.heatmapPhysics.cancel();
+    this.heatmap = null;
+    if (!this.heatmapOn || this.selectedTarget === null || !this.selectedPocket) return;
+
+    const object = this.balls[this.selectedTarget];
+    try {
+      this.heatmap = await this.heatmapPhysics.call(
+        'difficultyGrid',
+        [[object.x, object.y], this.selectedPocket, { maxBanks: 2 }],
+        { samples: HEATMAP_SAMPLES }
+      );
+    } catch (e) {
+      if (e.name !== 'AbortError') console.error('[App] Heatmap failed:', e);
+    }
+  }
+
+  /** Snooker: the balls on for the selected cue ball, or null on other tables. */
+  _ballsOn() {
+    if (!this.profile.spots || this.selectedCue === null) return null;
+    return snookerBallsOn(this.balls, this.selectedCue, { redPotted: this.redPotted });
+  }
+
+  _shotsMessage() {
+    if (this.placement) {
+      const best = this.placement.placements[0];
+      return best
+        ? `Ball in hand: best spot ${best.shot.difficulty.replace('_', ' ')} (ringed 1)`
+        : 'Ball in hand: no clear shot from any spot';
+    }
+    const n = this.shots.length;
+    let msg = `${n} shot${n !== 1 ? 's' : ''} found`;
+    if (this.blockedShots.length > 0) msg += ` (${this.blockedShots.length} blocked)`;
+    if (this.simulation) msg += this.simulation.made ? ' — best drops in sim' : ' — best misses in sim';
+    const stun = this.shots[0]?.cueAfter?.stun;
+    if (stun?.scratch) msg += ' — stun scratches';
+    return msg;
   }
 
   // --- State management ---
@@ -363,18 +570,30 @@ class App {
       [STATE.LOADING]:         'Loading...',
       [STATE.VIEWFINDER]:      'Point at table and tap 📸',
       [STATE.PROCESSING]:      'Detecting table & balls...',
-      [STATE.READY]:           this.tableCorners
-                                 ? 'Table detected — bumper outline shown'
-                                 : 'No table detected — Retake or Demo',
+      [STATE.READY]:           this._readyMessage(),
       [STATE.CUE_SELECTED]:    'Now tap the target ball',
       [STATE.TARGET_SELECTED]: 'Tap a pocket',
-      [STATE.SHOWING_SHOT]:    `${this.shots.length} shot${this.shots.length !== 1 ? 's' : ''} found`,
+      [STATE.SHOWING_SHOT]:    this._shotsMessage(),
+      [STATE.RECORDING_BANK]:  'Shoot the bank, then tap a spot the object ball rolled over after the first cushion',
     };
     this._setStatus(messages[state] || '');
     this._updateToolbar();
+    this._updateShotCard();
     this._updateVisibility();
   }
 
+  _readyMessage() {
+    const n = this.balls.length;
+    if (n > 0) {
+      return this.tableCorners
+        ? `${n} ball${n !== 1 ? 's' : ''} detected — tap the cue ball`
+        : 'Tap the cue ball';
+    }
+    return this.tableCorners
+      ? 'Table detected — no balls found, try Retake'
+      : 'No table detected — Retake or Demo';
+  }
+
   _setStatus(msg) {
     this.statusText.textContent = msg;
   }
@@ -390,6 +609,90 @@ class App {
     }
   }
 
+  /**
+   * Cut angle, ball-hit fraction and aim reference of the suggested shot, so
+   * the ghost ball can be turned into something to sight on.
+   */
+  _updateShotCard() {
+    const shot = this.state === STATE.SHOWING_SHOT
+      ? (this.placement ? this.placement.placements[0]?.shot : this.shots[0])
+      : null;
+    this.shotCard.classList.toggle('hidden', !shot);
+    if (!shot) return;
+
+    const R = this.profile.ballRadius;
+    const cut = Math.round(shot.cutAngle * 180 / Math.PI);
+    // The cue ball strikes the side opposite the way the object ball is cut
+    const side = shot.cutSide === 'left' ? 'right' : 'left';
+    const offset = (d) => `${Math.round(d * Math.sin(shot.cutAngle))} mm ${side}`;
+    const lines = shot.cutSide
+      ? [
+          `Cut ${cut}° ${shot.cutSide} — ${shot.ballHit} ball (${shot.ballFraction.toFixed(2)})`,
+          `Aim: cue center ${offset(2 * R)} of the object ball's center`,
+          `Contact: ${offset(R)} of center, seen from the cue ball`,
+        ]
+      : ['Full ball — aim straight through the object ball'];
+    // Caroms carry no throw correction: the cue ball's route matters, not the first ball's
+    if (shot.cutSide && shot.throwAimPoint) {
+      const throwShift = Math.round(Math.hypot(
+        shot.throwAimPoint[0] - shot.aimPoint[0], shot.throwAimPoint[1] - shot.aimPoint[1]
+      ));
+      lines.push(`Throw ${(shot.throwAngle * 180 / Math.PI).toFixed(1)}° — aim ${throwShift} mm thinner (white ring)`);
+    }
+    if (shot.caromBalls) {
+      const [first, second] = shot.caromBalls.map(i => this.balls[i].color);
+      const before = shot.cueLegs - 1;
+      lines.push(`Hit ${first} first (${before} cushion${before !== 1 ? 's' : ''} before it), ` +
+        `${shot.railsUsed.length} cushions before ${second}, ${shot.caromSpin}`);
+    }
+    if (shot.frozenRule) lines.push(FROZEN_NOTES[shot.frozenRule]);
+    if (shot.diamonds?.length) {
+      const d = (n) => n.toFixed(1);
+      lines.push('Diamonds: ' + shot.diamonds.map(r => `${r.rail} ${d(r.contact)} (aim ${d(r.aim)})`).join(', '));
+      const { cornerFive, plusTwo } = shot.systems;
+      if (cornerFive) {
+        lines.push(`Corner five: cue ${d(cornerFive.cue)} − first rail ${d(cornerFive.first)} = third rail ${d(cornerFive.third)}`);
+      }
+      if (plusTwo) {
+        lines.push(`Plus system: cue ${d(plusTwo.cue)} + target ${d(plusTwo.target)} → aim ${d(plusTwo.first)}`);
+      }
+    }
+    if (shot.jump) {
+      const { launchAngle, speed, landing, clearance, minDistance } = shot.jump;
+      lines.push(`Jump: launch ${Math.round(launchAngle * 180 / Math.PI)}° at ${(speed / 1000).toFixed(1)} m/s, ` +
+        `landing ${Math.round(landing / 10)} cm out`);
+      lines.push(`Clears the blocker by rising ${Math.round(clearance)} mm; needs it ${Math.round(minDistance / 10)} cm or more away`);
+    }
+    if (shot.masse) {
+      lines.push(`Massé: curve ${shot.masse.side}, up to ${Math.round(shot.masse.bulge)} mm off the line, ` +
+        `setting off ${Math.round(shot.masse.launchAngle * 180 / Math.PI)}° wide`);
+    }
+    if (shot.kissRisk > 0) {
+      const spins = Object.keys(shot.kisses);
+      const kissing = spins.filter((spin) => shot.kisses[spin]);
+      const clear = spins.filter((spin) => !shot.kisses[spin]);
+      lines.push(`Double-kiss risk: ${kissing.join(', ')}` + (clear.length ? ` — play ${clear.join(' or ')}` : ''));
+    }
+    // A jump's stroke is given on its own line
+    if (shot.speed !== null && !shot.jump) {
+      const ms = (v) => (v / 1000).toFixed(1);
+      lines.push(`Speed: ${shot.speedLabel}, ${ms(shot.speed)} m/s (at least ${ms(shot.minSpeed)} m/s)`);
+    }
+
+    this.shotCard.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = shot.pocketName
+      ? `${shot.type.replace('_', ' ')} → ${shot.pocketName.replace('_', ' ')}`
+      : `${shot.type} — ${shot.railsUsed.join(', ')}`;
+    this.shotCard.appendChild(title);
+    for (const text of lines) {
+      const line = document.createElement('div');
+      line.textContent = text;
+      this.shotCard.appendChild(line);
+    }
+  }
+
   _updateToolbar() {
     this.toolbar.innerHTML = '';
     const btn = (label, onClick, cls = '') => {
@@ -410,36 +713,206 @@ class App {
         btn('Retake', () => this._retake(), 'primary');
         btn('Test Image', () => this._loadTestImage());
         btn('Demo Mode', () => this._enterDemoMode());
+        btn(`Table: ${this.profile.label}`, () => this._cycleProfile());
         break;
 
       case STATE.CUE_SELECTED:
       case STATE.TARGET_SELECTED:
         btn('Reset', () => this._resetSelection());
+        if (this.profile.spots) btn(`On: ${this.redPotted ? 'colour' : 'red'}`, () => this._toggleRedPotted());
         btn('Retake', () => this._retake());
         break;
 
       case STATE.SHOWING_SHOT:
         btn('Reset', () => this._resetSelection(), 'primary');
+        if (this.profile.pocketless) {
+          btn('Retake', () => this._retake());
+          break;
+        }
+        btn(`English: ${this.english || 'off'}`, () => this._cycleEnglish());
+        btn(`Ball in hand: ${this.ballInHand === 'kitchen' && this.profile.spots ? 'D' : this.ballInHand}`,
+          () => this._cycleBallInHand());
+        btn(`Heatmap: ${this.heatmapOn ? 'on' : 'off'}`, () => this._toggleHeatmap());
+        if (this._recordableBank()) btn('Record bank', () => this._setState(STATE.RECORDING_BANK));
         btn('Retake', () => this._retake());
         break;
+
+      case STATE.RECORDING_BANK: {
+        btn('Cancel', () => this._setState(STATE.SHOWING_SHOT), 'primary');
+        const n = loadBankRecordings(this.profile.name).length;
+        if (n > 0) btn(`Clear calibration (${n})`, () => this._clearBankRecordings(), 'danger');
+        break;
+      }
+    }
+  }
+
+  _cycleProfile() {
+    let i = PROFILE_CYCLE.indexOf(this.profile.name);
+    for (let tries = 0; tries < PROFILE_CYCLE.length; tries++) {
+      i = (i + 1) % PROFILE_CYCLE.length;
+      const name = PROFILE_CYCLE[i];
+      const profile = name === 'custom' ? this._askCustomProfile() : getTableProfile(name);
+      if (profile) {
+        this._setProfile(profile);
+        return;
+      }
+    }
+  }
+
+  /** Prompt for the custom table's measurements, prefilled with the saved ones. */
+  _askCustomProfile() {
+    const current = loadCustomProfile() || this.profile;
+    const answer = window.prompt(
+      'Custom table — playing surface width × length and ball diameter, in mm',
+      `${current.width} x ${current.length}, ${current.ballDiameter}`
+    );
+    if (!answer) return null;
+
+    const [width, length, ballDiameter = current.ballDiameter] = (answer.match(/\d+(\.\d+)?/g) || []).map(Number);
+    if (!(width > 0 && length > 0 && ballDiameter > 0)) {
+      this._setStatus('Custom table needs a width and a length');
+      return null;
+    }
+    return saveCustomProfile({ width, length, ballDiameter });
+  }
+
+  /**
+   * Switch every module to `profile`. Photo balls scale with the table, since
+   * the warp maps the same felt onto the new dimensions; demo mode re-racks.
+   */
+  _setProfile(profile) {
+    const previous = this.profile;
+    this.profile = profile;
+    saveSelectedProfile(profile.name);
+    console.log(`[App] Table profile: ${profile.label}`);
+
+    this.renderer.setProfile(profile);
+    this.detector.setProfile(profile);
+    this.physics.setProfile(profile);
+    this.heatmapPhysics.setProfile(profile);
+    this._applyCushionResponse();
+
+    if (this._demoMode) {
+      this.balls = createSyntheticBalls(profile);
+    } else {
+      const sx = profile.width / previous.width, sy = profile.length / previous.length;
+      this.balls = this.balls.map(b => ({ ...b, x: b.x * sx, y: b.y * sy }));
+    }
+    this._resetSelection();
+  }
+
+  /** Cushion response fitted to the banks recorded on the current table. */
+  _applyCushionResponse() {
+    const recordings = loadBankRecordings(this.profile.name);
+    const cushionResponse = fitCushionResponse(recordings);
+    this.physics.setOptions({ cushionResponse });
+    this.heatmapPhysics.setOptions({ cushionResponse });
+    if (recordings.length > 0) {
+      console.log(`[App] Cushion response from ${recordings.length} recorded bank(s):`, cushionResponse);
     }
   }
 
+  /** The suggested shot, if it's a bank whose first rebound can be recorded. */
+  _recordableBank() {
+    const shot = this.placement ? null : this.shots[0];
+    return shot?.type === SHOT_TYPE.BANK && shot.cushionSpeeds ? shot : null;
+  }
+
+  /**
+   * Record how the suggested bank actually came off its first cushion. The
+   * ball is taken to have hit the planned bank point at the planned pace; the
+   * tap gives its real rebound, and tan(rebound) / tan(incoming) is the
+   * cushion's factor at that speed.
+   */
+  _recordBank(x, y) {
+    const shot = this._recordableBank();
+    if (!shot) return;
+    const [px, py] = this.renderer.toTable(x, y);
+    const [bx, by] = shot.bankPoints[0];
+    const [ox, oy] = shot.objectPos;
+    const vertical = shot.railsUsed[0] === 'left' || shot.railsUsed[0] === 'right';
+    // Normal and tangential parts of the legs into and out of the cushion
+    const [inN, inT] = vertical ? [bx - ox, by - oy] : [by - oy, bx - ox];
+    const [outN, outT] = vertical ? [px - bx, py - by] : [py - by, px - bx];
+
+    const factor = (Math.abs(outT) / Math.abs(outN)) / (Math.abs(inT) / Math.abs(inN));
+    const rebounds = Math.sign(outN) === -Math.sign(inN) && Math.sign(outT) === Math.sign(inT);
+    if (!rebounds || !(factor >= MIN_RECORDED_FACTOR && factor <= MAX_RECORDED_FACTOR)) {
+      this._setStatus('That doesn\'t match this bank — tap where the ball went after the first cushion');
+      return;
+    }
+
+    const recordings = loadBankRecordings(this.profile.name);
+    recordings.push({ speed: shot.cushionSpeeds[0], factor });
+    saveBankRecordings(this.profile.name, recordings);
+    console.log(`[App] Recorded bank: factor ${factor.toFixed(3)} at ${Math.round(shot.cushionSpeeds[0])} mm/s`);
+    this._applyCushionResponse();
+    this._showShots();
+  }
+
+  _clearBankRecordings() {
+    saveBankRecordings(this.profile.name, []);
+    this._applyCushionResponse();
+    this._showShots();
+  }
+
+  _toggleHeatmap() {
+    this.heatmapOn = !this.heatmapOn;
+    this._requestHeatmap();
+    this._setState(STATE.SHOWING_SHOT);
+  }
+
+  _cycleBallInHand() {
+    const i = BALL_IN_HAND_CYCLE.indexOf(this.ballInHand);
+    this.ballInHand = BALL_IN_HAND_CYCLE[(i + 1) % BALL_IN_HAND_CYCLE.length];
+    this._showShots();
+  }
+
+  /**
+   * Snooker: switch between on a red and on a colour (a red was just potted).
+   * The target may no longer be on, so the selection goes back to the cue ball.
+   */
+  _toggleRedPotted() {
+    this.redPotted = !this.redPotted;
+    this.selectedTarget = null;
+    this.selectedPocket = null;
+    this._setState(STATE.CUE_SELECTED);
+  }
+
+  _cycleEnglish() {
+    const i = ENGLISH_CYCLE.indexOf(this.english);
+    this.english = ENGLISH_CYCLE[(i + 1) % ENGLISH_CYCLE.length];
+    this._showShots();
+  }
+
+  /** Drop any shot search or heatmap still running in the workers. */
+  _cancelCalculations() {
+    this.physics.cancel();
+    this.heatmapPhysics.cancel();
+    this.heatmap = null;
+  }
+
   _resetSelection() {
+    this._cancelCalculations();
     this.selectedCue = null;
     this.selectedTarget = null;
     this.selectedPocket = null;
     this.shots = [];
+    this.blockedShots = [];
+    this.simulation = null;
     this._setState(STATE.READY);
   }
 
   _retake() {
     this.tableCorners = null;
     this.balls = [];
+    this._cancelCalculations();
     this.selectedCue = null;
     this.selectedTarget = null;
     this.selectedPocket = null;
     this.shots = [];
+    this.blockedShots = [];
+    this.simulation = null;
     this._captureImageData = null;
 
     // Show video, hide captured
@@ -513,11 +986,14 @@ class App {
     this.capturedCanvas.classList.add('hidden');
     this.captureContainer.classList.add('hidden');
     this.renderer.clearPhotoMode();
-    this.balls = createSyntheticBalls();
+    this.balls = createSyntheticBalls(this.profile);
+    this._cancelCalculations();
     this.selectedCue = null;
     this.selectedTarget = null;
     this.selectedPocket = null;
     this.shots = [];
+    this.blockedShots = [];
+    this.simulation = null;
     this._setState(STATE.READY);
   }
 
@@ -543,11 +1019,13 @@ class App {
         } else {
           this.renderer.drawTable();
         }
+        this.renderer.drawBalls(this.balls, null, null, 'cue');
+        if (this.tableCorners) this.renderer.drawBallConfidence(this.balls);
         break;
 
       case STATE.CUE_SELECTED:
         this.renderer.drawTable();
-        this.renderer.drawBalls(this.balls, this.selectedCue, null, 'target');
+        this.renderer.drawBalls(this.balls, this.selectedCue, null, 'target', this._ballsOn()?.on);
         break;
 
       case STATE.TARGET_SELECTED:
@@ -560,10 +1038,29 @@ class App {
         this.renderer.drawTable();
         this.renderer.drawBalls(this.balls, this.selectedCue, this.selectedTarget, null);
         this.renderer.drawPocketHighlights(this.selectedPocket);
+        if (this.placement) {
+          // Ball in hand: the heatmap, and the shot from the best spot
+          this.renderer.drawPlacementHeatmap(this.placement);
+          const best = this.placement.placements[0];
+          if (best) this.renderer.drawShots([best.shot], 1);
+          break;
+        }
+        if (this.heatmap) {
+          this.renderer.drawDifficultyHeatmap(this.heatmap);
+        }
+        if (this.simulation) {
+          this.renderer.drawSimulation(this.simulation.result);
+        }
         if (this.shots.length > 0) {
           this.renderer.drawShots(this.shots, 8);
         }
         break;
+
+      case STATE.RECORDING_BANK:
+        this.renderer.drawTable();
+        this.renderer.drawBalls(this.balls, this.selectedCue, this.selectedTarget, null);
+        this.renderer.drawShots(this.shots.slice(0, 1), 1);
+        break;
     }
   }
 }
@@ -0,0 +1,34 @@
+/**
+ * BankShotAI - Physics Worker
+ *
+ * Runs BankShotCalculator and ShotSimulator off the main thread so heavy
+ * searches and simulations don't stall the render loop. Requests are
+ * {id, method, profile, options, args}: the class that owns `method` is built
+ * from `profile` and `options` and `method` is called with `args`. Replies are
+ * {id, result} or {id, error}.
+ */
+
+import { BankShotCalculator } from './physics.js?v=1771969564';
+import { ShotSimulator } from './simulator.js?v=1771969564';
+
+// Methods the main thread may call, and the class each belongs to
+const METHODS = new Map([
+  ['findAllShots', BankShotCalculator],
+  ['findLayoutShots', BankShotCalculator],
+  ['findCaromShots', BankShotCalculator],
+  ['findBallInHand', BankShotCalculator],
+  ['difficultyGrid', BankShotCalculator],
+  ['verifyShot', ShotSimulator],
+]);
+
+self.onmessage = ({ data }) => {
+  const { id, method, profile, options, args = [] } = data;
+  try {
+    const Owner = METHODS.get(method);
+    if (!Owner) throw new Error(`Unknown physics method: ${method}`);
+    const target = new Owner(profile, options);
+    self.postMessage({ id, result: target[method](...args) });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
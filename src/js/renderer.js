@@ -7,11 +7,7 @@
  * 2. Synthetic mode (demo): draws a green table rectangle with fixed mapping.
  */
 
-import {
-  TABLE_WIDTH, TABLE_LENGTH, BALL_RADIUS, BALL_DIAMETER,
-  POCKETS, CORNER_POCKET_OPENING, SIDE_POCKET_OPENING,
-  BALL_COLORS
-} from './table-config.js?v=1771969564';
+import { DEFAULT_PROFILE, BALL_COLORS } from './table-config.js?v=1771969564';
 import { DIFFICULTY } from './physics.js?v=1771969564';
 
 const DIFF_COLORS = {
@@ -21,10 +17,18 @@ const DIFF_COLORS = {
   [DIFFICULTY.VERY_HARD]: '#f44336',
 };
 
+// Cue-ball route after contact
+const CUE_PATH_COLOR = '#80d8ff';
+
 export class Renderer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {TableProfile} [profile=DEFAULT_PROFILE] - table being drawn
+   */
+  constructor(canvas, profile = DEFAULT_PROFILE) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
+    this.profile = profile;
     // Synthetic table mapping (demo mode)
     this.scaleX = 1;
     this.scaleY = 1;
@@ -60,6 +64,12 @@ export class Renderer {
     this._drawH = drawH || this.canvas.height;
   }
 
+  /** Switch to another table and redo the demo-mode mapping for it. */
+  setProfile(profile) {
+    this.profile = profile;
+    this.resize(this.canvas.width, this.canvas.height);
+  }
+
   clearPhotoMode() {
     this._photoMode = false;
     this._detector = null;
@@ -73,7 +83,7 @@ export class Renderer {
     const padding = 20;
     const availW = containerWidth - padding * 2;
     const availH = containerHeight - padding * 2;
-    const tableAspect = TABLE_WIDTH / TABLE_LENGTH;
+    const tableAspect = this.profile.width / this.profile.length;
     const screenAspect = availW / availH;
 
     let drawW, drawH;
@@ -85,8 +95,8 @@ export class Renderer {
       drawH = drawW / tableAspect;
     }
 
-    this.scaleX = drawW / TABLE_WIDTH;
-    this.scaleY = drawH / TABLE_LENGTH;
+    this.scaleX = drawW / this.profile.width;
+    this.scaleY = drawH / this.profile.length;
     this.offsetX = (containerWidth - drawW) / 2;
     this.offsetY = (containerHeight - drawH) / 2;
   }
@@ -107,7 +117,7 @@ export class Renderer {
     // Synthetic/demo mode
     return [
       this.offsetX + tx * this.scaleX,
-      this.offsetY + (TABLE_LENGTH - ty) * this.scaleY,
+      this.offsetY + (this.profile.length - ty) * this.scaleY,
     ];
   }
 
@@ -126,7 +136,7 @@ export class Renderer {
     // Synthetic/demo mode
     return [
       (cx - this.offsetX) / this.scaleX,
-      TABLE_LENGTH - (cy - this.offsetY) / this.scaleY,
+      this.profile.length - (cy - this.offsetY) / this.scaleY,
     ];
   }
 
@@ -140,12 +150,13 @@ export class Renderer {
     if (this._photoMode) {
       // In photo mode, draw a subtle table outline over the photo
       this._drawPhotoTableOutline();
+      this._drawDiamonds();
       return;
     }
 
     const ctx = this.ctx;
     const [x0, y0] = this.toCanvas(0, 0);
-    const [x1, y1] = this.toCanvas(TABLE_WIDTH, TABLE_LENGTH);
+    const [x1, y1] = this.toCanvas(this.profile.width, this.profile.length);
     const w = x1 - x0;
     const h = y0 - y1;
 
@@ -157,10 +168,10 @@ export class Renderer {
     ctx.strokeRect(x0, y1, w, h);
 
     // Pockets
-    const pocketR = CORNER_POCKET_OPENING * this.scaleX * 0.4;
-    for (const [name, pos] of Object.entries(POCKETS)) {
+    const pocketR = this.profile.cornerPocketOpening * this.scaleX * 0.4;
+    for (const [name, pos] of Object.entries(this.profile.pockets)) {
       const [px, py] = this.toCanvas(pos[0], pos[1]);
-      const r = name.startsWith('side') ? SIDE_POCKET_OPENING * this.scaleX * 0.4 : pocketR;
+      const r = name.startsWith('side') ? this.profile.sidePocketOpening * this.scaleX * 0.4 : pocketR;
       ctx.beginPath();
       ctx.arc(px, py, r, 0, Math.PI * 2);
       ctx.fillStyle = '#1a1a1a';
@@ -170,9 +181,14 @@ export class Renderer {
       ctx.stroke();
     }
 
+    if (this.profile.spots) {
+      this._drawSnookerMarkings();
+      return;
+    }
+
     // Head string
-    const [hsx, hsy] = this.toCanvas(0, TABLE_LENGTH * 0.25);
-    const [hex, hey] = this.toCanvas(TABLE_WIDTH, TABLE_LENGTH * 0.25);
+    const [hsx, hsy] = this.toCanvas(0, this.profile.length * 0.25);
+    const [hex, hey] = this.toCanvas(this.profile.width, this.profile.length * 0.25);
     ctx.beginPath();
     ctx.moveTo(hsx, hsy);
     ctx.lineTo(hex, hey);
@@ -181,11 +197,80 @@ export class Renderer {
     ctx.stroke();
 
     // Foot spot
-    const [fsx, fsy] = this.toCanvas(TABLE_WIDTH / 2, TABLE_LENGTH * 0.75);
+    const [fsx, fsy] = this.toCanvas(this.profile.width / 2, this.profile.length * 0.75);
     ctx.beginPath();
     ctx.arc(fsx, fsy, 3, 0, Math.PI * 2);
     ctx.fillStyle = 'rgba(255,255,255,0.3)';
     ctx.fill();
+
+    this._drawDiamonds();
+  }
+
+  /** Baulk line, the D behind it, and the colour spots. */
+  _drawSnookerMarkings() {
+    const ctx = this.ctx;
+    const { width, baulkLine, dRadius, spots } = this.profile;
+    const [bx0, by] = this.toCanvas(0, baulkLine);
+    const [bx1] = this.toCanvas(width, baulkLine);
+    const [dcx] = this.toCanvas(width / 2, baulkLine);
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(bx0, by);
+    ctx.lineTo(bx1, by);
+    // The D opens toward the baulk cushion, which is down the canvas
+    ctx.moveTo(dcx + dRadius * this.scaleX, by);
+    ctx.arc(dcx, by, dRadius * this.scaleX, 0, Math.PI);
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255,255,255,0.3)';
+    for (const [sx, sy] of Object.values(spots)) {
+      const [cx, cy] = this.toCanvas(sx, sy);
+      ctx.beginPath();
+      ctx.arc(cx, cy, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Rail diamonds, skipping the pockets. On the photo they sit at the profile's
+   * setback behind the cushion nose; the demo table has no rails drawn, so
+   * they go just outside its edge.
+   */
+  _drawDiamonds() {
+    const { diamondSpacing: spacing, width, length } = this.profile;
+    if (!spacing) return;
+    const setback = this._photoMode ? this.profile.diamondSetback : 10 / this.scaleX;
+    const isPocket = (along, railLength) =>
+      along < 1 || along > railLength - 1 || (railLength === length && Math.abs(along - length / 2) < 1);
+
+    const marks = [];
+    for (let along = spacing; along < length; along += spacing) {
+      if (isPocket(along, length)) continue;
+      marks.push([-setback, along], [width + setback, along]);
+    }
+    for (let along = spacing; along < width; along += spacing) {
+      if (isPocket(along, width)) continue;
+      marks.push([along, -setback], [along, length + setback]);
+    }
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle = 'rgba(255,255,255,0.8)';
+    for (const [tx, ty] of marks) {
+      const [cx, cy] = this.toCanvas(tx, ty);
+      ctx.beginPath();
+      ctx.moveTo(cx, cy - 4);
+      ctx.lineTo(cx + 3, cy);
+      ctx.lineTo(cx, cy + 4);
+      ctx.lineTo(cx - 3, cy);
+      ctx.closePath();
+      ctx.fill();
+    }
+    ctx.restore();
   }
 
   /** Draw the inner cushion/bumper edges on the photo — where bank shots bounce. */
@@ -237,21 +322,14 @@ export class Renderer {
 
   /**
    * Draw balls with selection highlighting and pulse effect.
+   * @param {number[]|null} [legal=null] - snooker: the balls on; only they get target hints
    */
-  drawBalls(balls, cueIdx = null, targetIdx = null, hintType = null) {
+  drawBalls(balls, cueIdx = null, targetIdx = null, hintType = null, legal = null) {
     const ctx = this.ctx;
     const pulse = 0.5 + 0.5 * Math.sin(this._pulsePhase);
 
     // Ball radius in canvas pixels — estimate from two known table points
-    let r;
-    if (this._photoMode) {
-      // Estimate ball radius by mapping a ball-width offset
-      const [cx1] = this.toCanvas(0, TABLE_LENGTH / 2);
-      const [cx2] = this.toCanvas(BALL_DIAMETER, TABLE_LENGTH / 2);
-      r = Math.max(6, Math.abs(cx2 - cx1) / 2);
-    } else {
-      r = BALL_RADIUS * this.scaleX;
-    }
+    const r = this._ballCanvasRadius();
 
     balls.forEach((ball, i) => {
       const [cx, cy] = this.toCanvas(ball.x, ball.y);
@@ -262,7 +340,8 @@ export class Renderer {
       // Pulsing hint ring for tappable balls
       if (hintType === 'cue' && ball.color === 'white' && cueIdx === null) {
         this._drawPulseRing(cx, cy, r + 6, '#00e5ff', pulse);
-      } else if (hintType === 'target' && ball.color !== 'white' && i !== cueIdx && targetIdx === null) {
+      } else if (hintType === 'target' && ball.color !== 'white' && i !== cueIdx && targetIdx === null &&
+                 (!legal || legal.includes(i))) {
         this._drawPulseRing(cx, cy, r + 4, '#ff9800', pulse * 0.6);
       }
 
@@ -313,8 +392,8 @@ export class Renderer {
         ctx.stroke();
       }
 
-      // Number
-      if (ball.number > 0) {
+      // Number; snooker balls carry none
+      if (ball.number > 0 && !this.profile.spots) {
         ctx.fillStyle = (ball.color === 'black' || ball.color === 'blue' || ball.color === 'maroon') ? '#fff' : '#000';
         ctx.font = `bold ${Math.max(8, r * 0.9)}px sans-serif`;
         ctx.textAlign = 'center';
@@ -324,6 +403,43 @@ export class Renderer {
     });
   }
 
+  /**
+   * Label detected balls with their classifier confidence.
+   * Balls without a confidence (demo/synthetic) are skipped.
+   */
+  drawBallConfidence(balls) {
+    const ctx = this.ctx;
+    const r = this._ballCanvasRadius();
+
+    ctx.save();
+    ctx.font = `bold ${Math.max(9, r * 0.7)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const ball of balls) {
+      if (ball.confidence === undefined) continue;
+      const [cx, cy] = this.toCanvas(ball.x, ball.y);
+      const label = `${Math.round(ball.confidence * 100)}%`;
+      const color = ball.confidence >= 0.6 ? '#00e676' : ball.confidence >= 0.3 ? '#ffeb3b' : '#f44336';
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+      ctx.strokeText(label, cx, cy + r + 3);
+      ctx.fillStyle = color;
+      ctx.fillText(label, cx, cy + r + 3);
+    }
+    ctx.restore();
+  }
+
+  /** Ball radius in canvas pixels for the current mapping. */
+  _ballCanvasRadius() {
+    if (this._photoMode) {
+      // Estimate ball radius by mapping a ball-width offset
+      const [cx1] = this.toCanvas(0, this.profile.length / 2);
+      const [cx2] = this.toCanvas(this.profile.ballDiameter, this.profile.length / 2);
+      return Math.max(6, Math.abs(cx2 - cx1) / 2);
+    }
+    return this.profile.ballRadius * this.scaleX;
+  }
+
   _drawPulseRing(cx, cy, r, color, alpha) {
     const ctx = this.ctx;
     ctx.save();
@@ -345,10 +461,10 @@ export class Renderer {
     const ctx = this.ctx;
     const pulse = 0.5 + 0.5 * Math.sin(this._pulsePhase);
 
-    for (const [name, pos] of Object.entries(POCKETS)) {
+    for (const [name, pos] of Object.entries(this.profile.pockets)) {
       const [px, py] = this.toCanvas(pos[0], pos[1]);
       const r = this._photoMode ? 15 :
-        (name.startsWith('side') ? SIDE_POCKET_OPENING * this.scaleX * 0.45 : CORNER_POCKET_OPENING * this.scaleX * 0.45);
+        (name.startsWith('side') ? this.profile.sidePocketOpening * this.scaleX * 0.45 : this.profile.cornerPocketOpening * this.scaleX * 0.45);
 
       if (activePocket && activePocket === name) {
         ctx.beginPath();
@@ -398,17 +514,23 @@ export class Renderer {
       ctx.save();
       ctx.globalAlpha = alpha;
 
+      // Cue-ball legs (more than one on kicks) are dashed; jumps and massés draw their own
+      const cueLegs = shot.cueLegs || 1;
+      if (shot.jump) this._drawJumpLeg(shot, color, thickness * 0.7);
+      if (shot.masse) this._drawMasseLeg(shot.masse.curve, color, thickness * 0.7);
       for (let s = 0; s < shot.pathSegments.length; s++) {
+        if (s < cueLegs && (shot.jump || shot.masse)) continue;
         const [from, to] = shot.pathSegments[s];
         const [fx, fy] = this.toCanvas(from[0], from[1]);
         const [tx, ty] = this.toCanvas(to[0], to[1]);
+        const isCueLeg = s < cueLegs;
 
         ctx.beginPath();
         ctx.moveTo(fx, fy);
         ctx.lineTo(tx, ty);
         ctx.strokeStyle = color;
-        ctx.lineWidth = s === 0 ? thickness * 0.7 : thickness;
-        if (s === 0) ctx.setLineDash([6, 4]);
+        ctx.lineWidth = isCueLeg ? thickness * 0.7 : thickness;
+        if (isCueLeg) ctx.setLineDash([6, 4]);
         else ctx.setLineDash([]);
         ctx.stroke();
         ctx.setLineDash([]);
@@ -416,24 +538,19 @@ export class Renderer {
         this._drawArrowHead(fx, fy, tx, ty, color, thickness);
       }
 
-      // Ghost ball
+      // Ghost ball, plus one per ball-to-ball link on combos
       const [ax, ay] = this.toCanvas(shot.aimPoint[0], shot.aimPoint[1]);
-      let ballR;
-      if (this._photoMode) {
-        const [cx1] = this.toCanvas(0, TABLE_LENGTH / 2);
-        const [cx2] = this.toCanvas(BALL_DIAMETER, TABLE_LENGTH / 2);
-        ballR = Math.max(6, Math.abs(cx2 - cx1) / 2);
-      } else {
-        ballR = BALL_RADIUS * this.scaleX;
-      }
+      const ballR = this._ballCanvasRadius();
 
-      ctx.beginPath();
-      ctx.arc(ax, ay, ballR, 0, Math.PI * 2);
-      ctx.strokeStyle = color;
-      ctx.lineWidth = 2;
-      ctx.setLineDash([4, 4]);
-      ctx.stroke();
-      ctx.setLineDash([]);
+      for (const [gx, gy] of [[ax, ay], ...(shot.comboGhosts || []).map(g => this.toCanvas(g[0], g[1]))]) {
+        ctx.beginPath();
+        ctx.arc(gx, gy, ballR, 0, Math.PI * 2);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
 
       ctx.beginPath();
       ctx.moveTo(ax - 4, ay); ctx.lineTo(ax + 4, ay);
@@ -442,16 +559,75 @@ export class Renderer {
       ctx.lineWidth = 1;
       ctx.stroke();
 
-      for (const bp of shot.bankPoints) {
+      // Where the cue ball touches the object ball on the suggested shot
+      if (i === 0 && shot.contactPoint) {
+        const [cx, cy] = this.toCanvas(shot.contactPoint[0], shot.contactPoint[1]);
+        ctx.beginPath();
+        ctx.arc(cx, cy, 3, 0, Math.PI * 2);
+        ctx.fillStyle = '#fff';
+        ctx.fill();
+      }
+
+      // Throw-corrected ghost-ball center, a touch thinner than the drawn one
+      if (i === 0 && shot.throwAimPoint) {
+        const [tx, ty] = this.toCanvas(shot.throwAimPoint[0], shot.throwAimPoint[1]);
+        ctx.beginPath();
+        ctx.arc(tx, ty, 4, 0, Math.PI * 2);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
+
+      // Bounce markers sit on the cushion nose, where the ball actually touches
+      for (const bp of shot.cushionPoints || shot.bankPoints) {
         const [bx, by] = this.toCanvas(bp[0], bp[1]);
         this._drawBounceIndicator(bx, by, color);
       }
 
-      const [px, py] = this.toCanvas(shot.targetPocket[0], shot.targetPocket[1]);
-      ctx.beginPath();
-      ctx.arc(px, py, i === 0 ? 7 : 5, 0, Math.PI * 2);
-      ctx.fillStyle = color;
-      ctx.fill();
+      if (i === 0 && shot.diamonds) {
+        this._drawDiamondLabels(shot, color);
+      }
+
+      if (shot.targetPocket) {
+        const [px, py] = this.toCanvas(shot.targetPocket[0], shot.targetPocket[1]);
+        ctx.beginPath();
+        ctx.arc(px, py, i === 0 ? 7 : 5, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+      }
+
+      if (i === 0 && shot.cueAfter) {
+        this._drawCueAfter(shot.cueAfter);
+      }
+
+      // Where the balls meet again on a double kiss, one dashed ring per kiss
+      if (i === 0 && shot.kisses) {
+        ctx.save();
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = DIFF_COLORS[DIFFICULTY.VERY_HARD];
+        ctx.lineWidth = 1.5;
+        for (const kiss of Object.values(shot.kisses)) {
+          if (!kiss) continue;
+          const [kx, ky] = this.toCanvas(kiss.point[0], kiss.point[1]);
+          ctx.beginPath();
+          ctx.arc(kx, ky, this._ballCanvasRadius(), 0, Math.PI * 2);
+          ctx.stroke();
+        }
+        ctx.restore();
+      }
+
+      // Acceptance window across the pocket mouth for the best shot
+      if (i === 0 && shot.pocketWindow) {
+        const [[e1x, e1y], [e2x, e2y]] = shot.pocketWindow.edges;
+        const [wx1, wy1] = this.toCanvas(e1x, e1y);
+        const [wx2, wy2] = this.toCanvas(e2x, e2y);
+        ctx.beginPath();
+        ctx.moveTo(wx1, wy1);
+        ctx.lineTo(wx2, wy2);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+      }
 
       ctx.restore();
     }
@@ -459,10 +635,254 @@ export class Renderer {
     if (toDraw.length > 0) {
       const best = toDraw[0];
       const color = DIFF_COLORS[best.difficulty];
-      this._drawDifficultyBadge(best.difficulty, color);
+      this._drawDifficultyBadge(best.difficulty, color, best.makeProbability);
     }
   }
 
+  /**
+   * Jump cue leg: a dashed hop, bowed sideways in proportion to how high the
+   * ball flies, from the cue ball to where it lands, then the roll on to the
+   * ghost ball.
+   */
+  _drawJumpLeg(shot, color, width) {
+    const ctx = this.ctx;
+    const [cuePos, ghost] = shot.pathSegments[0];
+    const { landing, launchAngle } = shot.jump;
+    const dist = Math.hypot(ghost[0] - cuePos[0], ghost[1] - cuePos[1]);
+    const u = [(ghost[0] - cuePos[0]) / dist, (ghost[1] - cuePos[1]) / dist];
+    const land = [cuePos[0] + landing * u[0], cuePos[1] + landing * u[1]];
+    // Apex height of the flight, laid out sideways
+    const apex = landing * Math.tan(launchAngle) / 4;
+    const lift = [cuePos[0] + landing / 2 * u[0] - 2 * apex * u[1], cuePos[1] + landing / 2 * u[1] + 2 * apex * u[0]];
+
+    const [fx, fy] = this.toCanvas(cuePos[0], cuePos[1]);
+    const [cx, cy] = this.toCanvas(lift[0], lift[1]);
+    const [lx, ly] = this.toCanvas(land[0], land[1]);
+    const [gx, gy] = this.toCanvas(ghost[0], ghost[1]);
+    ctx.beginPath();
+    ctx.moveTo(fx, fy);
+    ctx.quadraticCurveTo(cx, cy, lx, ly);
+    ctx.lineTo(gx, gy);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.setLineDash([6, 4]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Landing tick across the line
+    const [nx, ny] = [-(gy - ly), gx - lx];
+    const len = Math.hypot(nx, ny) || 1;
+    ctx.beginPath();
+    ctx.moveTo(lx - 5 * nx / len, ly - 5 * ny / len);
+    ctx.lineTo(lx + 5 * nx / len, ly + 5 * ny / len);
+    ctx.stroke();
+    this._drawArrowHead(lx, ly, gx, gy, color, width / 0.7);
+  }
+
+  /** Massé cue leg: the swerving curve, dashed like any cue leg. */
+  _drawMasseLeg(curve, color, width) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    curve.forEach(([x, y], k) => {
+      const [cx, cy] = this.toCanvas(x, y);
+      if (k === 0) ctx.moveTo(cx, cy);
+      else ctx.lineTo(cx, cy);
+    });
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.setLineDash([6, 4]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const [px, py] = this.toCanvas(...curve[curve.length - 2]);
+    const [ex, ey] = this.toCanvas(...curve[curve.length - 1]);
+    this._drawArrowHead(px, py, ex, ey, color, width / 0.7);
+  }
+
+  /** Label each cushion contact of `shot` with its diamond number and the sight to aim through. */
+  _drawDiamondLabels(shot, color) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    shot.diamonds.forEach((reading, k) => {
+      const [px, py] = shot.cushionPoints[k];
+      // Nudge the label onto the cloth, two ball widths in from the cushion
+      const inset = this.profile.ballDiameter * 2;
+      const tx = px + (reading.rail === 'left' ? inset : reading.rail === 'right' ? -inset : 0);
+      const ty = py + (reading.rail === 'bottom' ? inset : reading.rail === 'top' ? -inset : 0);
+      const [cx, cy] = this.toCanvas(tx, ty);
+      const label = `◆${reading.contact.toFixed(1)} aim ${reading.aim.toFixed(1)}`;
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+      ctx.strokeText(label, cx, cy);
+      ctx.fillStyle = color;
+      ctx.fillText(label, cx, cy);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Cue-ball routes after contact: stun as a thin solid line, follow and draw
+   * dotted. A route ending in a pocket gets a red cross, one ending on a ball a ring.
+   * @param {Object<string, CuePath>} cueAfter
+   */
+  _drawCueAfter(cueAfter) {
+    const ctx = this.ctx;
+    const styles = {
+      stun:   { alpha: 0.9, dash: [] },
+      follow: { alpha: 0.5, dash: [2, 4] },
+      draw:   { alpha: 0.5, dash: [2, 4] },
+    };
+
+    ctx.save();
+    for (const [spin, path] of Object.entries(cueAfter)) {
+      if (path.pathSegments.length === 0) continue;
+      const style = styles[spin] || styles.follow;
+      ctx.globalAlpha = style.alpha;
+      ctx.setLineDash(style.dash);
+      ctx.strokeStyle = CUE_PATH_COLOR;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      path.pathSegments.forEach(([from, to], s) => {
+        const [fx, fy] = this.toCanvas(from[0], from[1]);
+        const [tx, ty] = this.toCanvas(to[0], to[1]);
+        if (s === 0) ctx.moveTo(fx, fy);
+        ctx.lineTo(tx, ty);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      const end = path.pathSegments[path.pathSegments.length - 1][1];
+      const [ex, ey] = this.toCanvas(end[0], end[1]);
+      if (path.scratch) {
+        ctx.beginPath();
+        ctx.moveTo(ex - 5, ey - 5); ctx.lineTo(ex + 5, ey + 5);
+        ctx.moveTo(ex + 5, ey - 5); ctx.lineTo(ex - 5, ey + 5);
+        ctx.strokeStyle = DIFF_COLORS[DIFFICULTY.VERY_HARD];
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      } else if (path.hitsBall !== null) {
+        ctx.beginPath();
+        ctx.arc(ex, ey, this._ballCanvasRadius(), 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Ball-in-hand heatmap: each grid cell tinted from green (easy) to red
+   * (hard), cells with no shot left clear, and the best spots ringed and
+   * numbered. Cells are drawn as quads so they follow the photo's perspective.
+   * @param {BallInHandResult} result - from BankShotCalculator.findBallInHand
+   */
+  drawPlacementHeatmap(result) {
+    const ctx = this.ctx;
+    const { x0, y0, step, cols, rows, scores } = result.grid;
+    const half = step / 2;
+
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const score = scores[row * cols + col];
+        if (Number.isNaN(score)) continue;
+        ctx.fillStyle = `hsl(${Math.round(120 * (1 - Math.min(1, score)))}, 85%, 50%)`;
+        this._fillGridCell(x0 + col * step, y0 + row * step, half);
+      }
+    }
+
+    ctx.globalAlpha = 1;
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const r = this._ballCanvasRadius();
+    result.placements.forEach((spot, k) => {
+      const [cx, cy] = this.toCanvas(spot.x, spot.y);
+      ctx.beginPath();
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = k === 0 ? 3 : 1.5;
+      ctx.stroke();
+      ctx.fillStyle = '#fff';
+      ctx.fillText(String(k + 1), cx, cy);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Cue-position difficulty heatmap: each grid cell in the DIFF_COLORS colour
+   * of the best shot from there.
+   * @param {DifficultyGrid} grid - from BankShotCalculator.difficultyGrid
+   */
+  drawDifficultyHeatmap(grid) {
+    const { x0, y0, step, cols, rows, difficulties } = grid;
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.3;
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const difficulty = difficulties[row * cols + col];
+        if (!difficulty) continue;
+        ctx.fillStyle = DIFF_COLORS[difficulty];
+        this._fillGridCell(x0 + col * step, y0 + row * step, step / 2);
+      }
+    }
+    ctx.restore();
+  }
+
+  /** Fill the square of half-size `half` (mm) around a table point, in perspective. */
+  _fillGridCell(x, y, half) {
+    const ctx = this.ctx;
+    const quad = [[x - half, y - half], [x + half, y - half], [x + half, y + half], [x - half, y + half]];
+    ctx.beginPath();
+    quad.forEach(([tx, ty], k) => {
+      const [cx, cy] = this.toCanvas(tx, ty);
+      if (k === 0) ctx.moveTo(cx, cy);
+      else ctx.lineTo(cx, cy);
+    });
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * Draw a simulated run underneath the shot lines: each ball's track and
+   * where it came to rest.
+   * @param {SimulationResult} result - from ShotSimulator
+   */
+  drawSimulation(result) {
+    const ctx = this.ctx;
+    const r = this._ballCanvasRadius();
+
+    ctx.save();
+    ctx.globalAlpha = 0.45;
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    for (const trace of result.traces) {
+      if (trace.length < 2) continue;
+      ctx.beginPath();
+      trace.forEach(([x, y], i) => {
+        const [cx, cy] = this.toCanvas(x, y);
+        if (i === 0) ctx.moveTo(cx, cy);
+        else ctx.lineTo(cx, cy);
+      });
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    for (const pos of result.finalPositions) {
+      if (!pos) continue;
+      const [cx, cy] = this.toCanvas(pos.x, pos.y);
+      ctx.beginPath();
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
   _drawArrowHead(fx, fy, tx, ty, color, size) {
     const ctx = this.ctx;
     const mx = (fx + tx) / 2;
@@ -505,10 +925,11 @@ export class Renderer {
     ctx.fill();
   }
 
-  _drawDifficultyBadge(difficulty, color) {
+  _drawDifficultyBadge(difficulty, color, makeProbability) {
     const ctx = this.ctx;
     const labels = { easy: 'EASY', medium: 'MEDIUM', hard: 'HARD', very_hard: 'VERY HARD' };
-    const label = labels[difficulty] || difficulty;
+    let label = labels[difficulty] || difficulty;
+    if (makeProbability !== undefined) label += ` · ${Math.round(makeProbability * 100)}%`;
 
     const x = this.canvas.width / 2;
     const y = this.canvas.height - 20;
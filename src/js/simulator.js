@@ -0,0 +1,286 @@
+/**
+ * BankShotAI - Ball Physics Simulator
+ *
+ * Time-stepped simulation used to check suggested shots: sliding friction that
+ * turns skid into natural roll, rolling resistance, equal-mass ball-ball
+ * collisions, cushion restitution along the ball-center rectangle and pocket
+ * capture. Spin is tracked as each ball's rolling velocity (ω×R at the cloth),
+ * so stun, follow and draw come out of the friction model.
+ * All coordinates in millimeters, speeds in mm/s, origin at bottom-left corner pocket.
+ */
+
+import {
+  DEFAULT_PROFILE, pocketMouth,
+  GRAVITY, SLIDING_FRICTION, ROLLING_RESISTANCE, CUSHION_RESTITUTION, CUSHION_FRICTION,
+  BALL_RESTITUTION
+} from './table-config.js?v=1771969564';
+
+const STOP_SPEED = 1.0;        // mm/s — below this a rolling ball is at rest
+const TRACE_INTERVAL = 0.02;   // s between recorded positions
+
+// Cue speeds tried by verifyShot, mm/s
+export const VERIFY_SPEEDS = [1000, 2000, 3000, 4500, 6000];
+
+/**
+ * @typedef {Object} SimulationResult
+ * @property {boolean} made - the target ball dropped in the shot's pocket
+ * @property {boolean} scratch - the cue ball was pocketed
+ * @property {number|null} firstContact - layout index of the first ball the cue ball hit
+ * @property {Array<{index:number, pocket:string, time:number}>} pocketed
+ * @property {Array<{x:number, y:number}|null>} finalPositions - null for pocketed balls
+ * @property {number[][][]} traces - sampled center positions per ball
+ * @property {number} time - seconds until every ball stopped
+ */
+
+export class ShotSimulator {
+  /**
+   * @param {TableProfile} [profile=DEFAULT_PROFILE] - table to simulate on
+   * @param {Object} [options]
+   * @param {number} [options.dt=0.001] - time step in seconds
+   * @param {number} [options.maxTime=15] - give up after this many seconds
+   */
+  constructor(profile = DEFAULT_PROFILE, options = {}) {
+    this.profile = profile;
+    this.width = this.profile.width;
+    this.length = this.profile.length;
+    this.ballRadius = this.profile.ballRadius;
+    this.pockets = this.profile.pockets;
+    this.pocketSpecs = this.profile.pocketSpecs;
+    this.dt = options.dt ?? 0.001;
+    this.maxTime = options.maxTime ?? 15;
+  }
+
+  /**
+   * Strike the cue ball along the first leg of `shot` and run until the table is still.
+   * @param {ShotPath} shot
+   * @param {number} cueSpeed - mm/s
+   * @param {Object} [layout]
+   * @param {Array<{x:number, y:number}>} [layout.balls] - full layout; defaults to the
+   *   shot's cue and object ball
+   * @param {number} [layout.cueIdx=0]
+   * @param {number} [layout.objectIdx=1] - the ball that should drop
+   * @param {number} [layout.follow=0] - spin as a fraction of natural roll: 1 follow, -1 draw
+   * @returns {SimulationResult}
+   */
+  simulateShot(shot, cueSpeed, layout = {}) {
+    const {
+      balls = [{ x: shot.cuePos[0], y: shot.cuePos[1] }, { x: shot.objectPos[0], y: shot.objectPos[1] }],
+      cueIdx = 0, objectIdx = 1, follow = 0,
+    } = layout;
+
+    const [from, to] = shot.pathSegments[0];
+    const dx = to[0] - from[0], dy = to[1] - from[1];
+    const dist = Math.hypot(dx, dy) || 1;
+    const ux = dx / dist, uy = dy / dist;
+
+    const states = balls.map(b => ({ x: b.x, y: b.y, vx: 0, vy: 0, rx: 0, ry: 0 }));
+    const cue = states[cueIdx];
+    cue.vx = ux * cueSpeed; cue.vy = uy * cueSpeed;
+    cue.rx = ux * cueSpeed * follow; cue.ry = uy * cueSpeed * follow;
+
+    const result = this.simulate(states, cueIdx);
+    result.made = result.pocketed.some(p => p.index === objectIdx && p.pocket === shot.pocketName);
+    return result;
+  }
+
+  /**
+   * Run a shot at each of `speeds` and report which ones drop it.
+   * @returns {{made: boolean, speeds: number[], result: SimulationResult}}
+   *   `result` is the softest making run, or the last run when none make it
+   */
+  verifyShot(shot, layout = {}, speeds = VERIFY_SPEEDS) {
+    const made = [];
+    let best = null, last = null;
+    for (const speed of speeds) {
+      last = this.simulateShot(shot, speed, layout);
+      if (last.made) {
+        made.push(speed);
+        if (!best) best = last;
+      }
+    }
+    return { made: made.length > 0, speeds: made, result: best || last };
+  }
+
+  /**
+   * Advance ball states in place until everything stops or maxTime passes.
+   * @param {Array<{x:number, y:number, vx:number, vy:number, rx:number, ry:number}>} states
+   *   positions, velocities and rolling velocities (ω×R at the cloth)
+   * @param {number} cueIdx
+   * @returns {SimulationResult}
+   */
+  simulate(states, cueIdx) {
+    const dt = this.dt;
+    const pocketed = [];
+    const traces = states.map(s => [[s.x, s.y]]);
+    const inPlay = states.map(() => true);
+    let firstContact = null;
+    let t = 0, nextTrace = TRACE_INTERVAL;
+
+    while (t < this.maxTime) {
+      let moving = false;
+
+      states.forEach((s, i) => {
+        if (!inPlay[i]) return;
+        if (this._applyFriction(s, dt)) moving = true;
+        s.x += s.vx * dt;
+        s.y += s.vy * dt;
+
+        const pocket = this._capturingPocket(s);
+        if (pocket) {
+          inPlay[i] = false;
+          pocketed.push({ index: i, pocket, time: t });
+          traces[i].push([s.x, s.y]);
+          return;
+        }
+        this._cushionBounce(s);
+      });
+
+      for (let i = 0; i < states.length; i++) {
+        if (!inPlay[i]) continue;
+        for (let j = i + 1; j < states.length; j++) {
+          if (!inPlay[j]) continue;
+          if (this._collide(states[i], states[j]) && firstContact === null) {
+            if (i === cueIdx) firstContact = j;
+            else if (j === cueIdx) firstContact = i;
+          }
+        }
+      }
+
+      t += dt;
+      if (t >= nextTrace) {
+        states.forEach((s, i) => { if (inPlay[i]) traces[i].push([s.x, s.y]); });
+        nextTrace += TRACE_INTERVAL;
+      }
+      if (!moving) break;
+    }
+
+    states.forEach((s, i) => { if (inPlay[i]) traces[i].push([s.x, s.y]); });
+
+    return {
+      made: false,
+      scratch: pocketed.some(p => p.index === cueIdx),
+      firstContact,
+      pocketed,
+      finalPositions: states.map((s, i) => inPlay[i] ? { x: s.x, y: s.y } : null),
+      traces,
+      time: t,
+    };
+  }
+
+  /**
+   * Cloth friction for one step. While the contact point slips, sliding friction
+   * pulls velocity and rolling velocity together (a solid ball's spin changes
+   * 5/2 as fast as its speed); once they meet, only rolling resistance is left.
+   * @returns {boolean} still moving
+   */
+  _applyFriction(s, dt) {
+    const ux = s.vx - s.rx, uy = s.vy - s.ry;
+    const slip = Math.hypot(ux, uy);
+    const slideStep = SLIDING_FRICTION * GRAVITY * dt;
+
+    if (slip > slideStep * 3.5) {
+      const nx = ux / slip, ny = uy / slip;
+      s.vx -= nx * slideStep; s.vy -= ny * slideStep;
+      s.rx += nx * slideStep * 2.5; s.ry += ny * slideStep * 2.5;
+      return true;
+    }
+
+    // Natural roll: v + (2/5)·r is conserved about the contact point
+    s.vx = (5 * s.vx + 2 * s.rx) / 7;
+    s.vy = (5 * s.vy + 2 * s.ry) / 7;
+    const speed = Math.hypot(s.vx, s.vy);
+    const rollStep = ROLLING_RESISTANCE * GRAVITY * dt;
+    if (speed <= Math.max(rollStep, STOP_SPEED)) {
+      s.vx = s.vy = s.rx = s.ry = 0;
+      return false;
+    }
+    const k = (speed - rollStep) / speed;
+    s.vx *= k; s.vy *= k;
+    s.rx = s.vx; s.ry = s.vy;
+    return true;
+  }
+
+  /**
+   * Rebound off the cushion nose. The normal speed keeps CUSHION_RESTITUTION,
+   * friction during the impact takes speed off along the rail, and the ball
+   * leaves the cushion rolling — the nose sits above the ball's center and
+   * grips it on the way out.
+   */
+  _cushionBounce(s) {
+    const lo = this.ballRadius;
+    const hiX = this.width - this.ballRadius, hiY = this.length - this.ballRadius;
+    if ((s.x < lo && s.vx < 0) || (s.x > hiX && s.vx > 0)) {
+      s.x = s.x < lo ? 2 * lo - s.x : 2 * hiX - s.x;
+      s.vy = this._railFriction(s.vy, s.vx);
+      s.vx = -s.vx * CUSHION_RESTITUTION;
+      s.rx = s.vx; s.ry = s.vy;
+    }
+    if ((s.y < lo && s.vy < 0) || (s.y > hiY && s.vy > 0)) {
+      s.y = s.y < lo ? 2 * lo - s.y : 2 * hiY - s.y;
+      s.vx = this._railFriction(s.vx, s.vy);
+      s.vy = -s.vy * CUSHION_RESTITUTION;
+      s.rx = s.vx; s.ry = s.vy;
+    }
+  }
+
+  /**
+   * Tangential speed after the cushion impulse. Friction stops acting once the
+   * ball rolls along the nose, which for a solid ball is at 5/7 of its speed.
+   */
+  _railFriction(vt, vn) {
+    const loss = Math.min(CUSHION_FRICTION * (1 + CUSHION_RESTITUTION) * Math.abs(vn), Math.abs(vt) * 2 / 7);
+    return vt - Math.sign(vt) * loss;
+  }
+
+  /**
+   * Pocket the ball drops into, if any: its center has come within a radius of
+   * the mouth line, between the jaws.
+   */
+  _capturingPocket(s) {
+    for (const name of Object.keys(this.pockets)) {
+      const { mouth: [mx, my], facing: [fx, fy] } = pocketMouth(name, this.profile);
+      const depth = (s.x - mx) * fx + (s.y - my) * fy;
+      const lateral = (s.x - mx) * -fy + (s.y - my) * fx;
+      if (depth < this.ballRadius && Math.abs(lateral) < this.pocketSpecs[name].opening / 2) return name;
+    }
+    return null;
+  }
+
+  /**
+   * Equal-mass collision along the line of centers; spins are unchanged.
+   * Overlapping balls are first rewound to the moment they touched, so the
+   * contact normal (and so the cut) doesn't depend on the step size.
+   * @returns {boolean} the balls collided this step
+   */
+  _collide(a, b) {
+    const contact = this.ballRadius * 2;
+    let dx = b.x - a.x, dy = b.y - a.y;
+    if (dx * dx + dy * dy >= contact * contact) return false;
+
+    const rvx = b.vx - a.vx, rvy = b.vy - a.vy;
+    if (dx * rvx + dy * rvy >= 0) return false;
+
+    // Time since touching: |d − rv·τ| = contact, take the root inside this step
+    const qa = rvx * rvx + rvy * rvy;
+    const qb = -2 * (dx * rvx + dy * rvy);
+    const qc = dx * dx + dy * dy - contact * contact;
+    const disc = qb * qb - 4 * qa * qc;
+    const tau = qa > 1e-9 && disc >= 0 ? Math.min(this.dt, Math.max(0, (-qb + Math.sqrt(disc)) / (2 * qa))) : 0;
+    a.x -= a.vx * tau; a.y -= a.vy * tau;
+    b.x -= b.vx * tau; b.y -= b.vy * tau;
+
+    dx = b.x - a.x; dy = b.y - a.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist < 1e-9) return false;
+    const nx = dx / dist, ny = dy / dist;
+    const approach = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+
+    const j = (1 + BALL_RESTITUTION) / 2 * Math.max(0, approach);
+    a.vx -= j * nx; a.vy -= j * ny;
+    b.vx += j * nx; b.vy += j * ny;
+
+    a.x += a.vx * tau; a.y += a.vy * tau;
+    b.x += b.vx * tau; b.y += b.vy * tau;
+    return true;
+  }
+}
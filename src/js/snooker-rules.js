@@ -0,0 +1,44 @@
+/**
+ * BankShotAI - Snooker Rules
+ *
+ * Which balls are "on" in a snooker frame. While reds remain the striker is on
+ * a red, then on any colour after potting one; once the reds are gone the
+ * colours are on in ascending value, yellow to black. The first ball the cue
+ * ball strikes has to be on, and so does the ball it pots, so the solver can
+ * only play a plant (one ball into another) when every ball on is the same
+ * value — i.e. red onto red.
+ */
+
+import { BALL_COLORS } from './table-config.js?v=1771969564';
+
+/**
+ * @typedef {Object} BallsOn
+ * @property {number[]} on - layout indices of the balls that may be struck first and potted
+ * @property {boolean} plants - a ball on may be potted by playing it off another ball on
+ */
+
+/** Snooker value of a detected ball, or null for the cue ball and unknown colours. */
+export function snookerValue(ball) {
+  const value = BALL_COLORS[ball.color]?.value;
+  return value > 0 ? value : null;
+}
+
+/**
+ * Balls on for the next stroke.
+ * @param {Array<{color: string}>} balls - every ball on the table
+ * @param {number} cueIdx
+ * @param {Object} [options]
+ * @param {boolean} [options.redPotted=false] - the striker potted a red with their last stroke
+ * @returns {BallsOn}
+ */
+export function snookerBallsOn(balls, cueIdx, { redPotted = false } = {}) {
+  const values = balls.map((b, i) => (i === cueIdx ? null : snookerValue(b)));
+  const indices = (keep) => values.flatMap((v, i) => (v !== null && keep(v) ? [i] : []));
+  const reds = indices(v => v === 1);
+
+  if (redPotted) return { on: indices(v => v > 1), plants: false };
+  if (reds.length > 0) return { on: reds, plants: true };
+
+  const lowest = Math.min(...values.filter(v => v !== null));
+  return { on: indices(v => v === lowest), plants: false };
+}